@@ -0,0 +1,482 @@
+/**
+ * AsyncFaceMatcher.js
+ * ---------------------
+ * 在 Web Worker 中运行 FaceMatcher，主线程只负责检测和绘制
+ *
+ * 功能：
+ * - 与 FaceMatcher 相同的 API（loadFromData / loadFromStorage / loadFromFile / addUser / updateUser / removeUser /
+ *   setCalibration / findBestMatch / findTopMatches / getStats），返回 Promise；onChange 在主线程触发
+ * - 特征向量打包为连续的 Float32Array，以 transferable buffer 传给 worker
+ * - 不支持 Worker 或 worker 脚本加载失败时，自动退回主线程同步匹配
+ *
+ * 主线程依赖 FaceMatcher.js（退回时使用）和 FaceCrypto.js（打包），worker 入口见 FaceMatcherWorker.js
+ */
+
+const ASYNC_MATCHER_DEFAULTS = {
+    workerUrl: './js/core/FaceMatcherWorker.js',
+    useWorker: true             // false = 始终在主线程匹配
+};
+
+class AsyncFaceMatcher {
+    /**
+     * @param {Object} config - FaceMatcher 配置，另加 workerUrl / useWorker
+     */
+    constructor(config = {}) {
+        const { workerUrl, useWorker, ...matcherConfig } = { ...ASYNC_MATCHER_DEFAULTS, ...config };
+
+        // worker 中没有 face-api.js，由主线程推断特征向量维度
+        if (!matcherConfig.expectedDescriptorLength && typeof DescriptorValidator !== 'undefined') {
+            matcherConfig.expectedDescriptorLength = DescriptorValidator.detectDescriptorLength();
+        }
+
+        this.config = new FaceMatcher(matcherConfig).config;
+
+        // 主线程缓存的用户列表（getRegisteredUsers / isReady 保持同步）
+        this.registeredUsers = [];
+
+        // 回调
+        this.onChange = null;   // 与 FaceMatcher.onChange 相同
+
+        this._worker = null;
+        this._handlers = null;      // 退回主线程时的处理函数
+        this._pending = new Map();  // id → { resolve, reject }
+        this._nextId = 1;
+        this._ready = this._start(workerUrl, useWorker, matcherConfig);
+    }
+
+    /**
+     * 是否在 worker 中运行（await ready() 后才确定）
+     */
+    get usesWorker() {
+        return !!this._worker;
+    }
+
+    /**
+     * 等待 worker 启动完成（或退回主线程）
+     */
+    ready() {
+        return this._ready;
+    }
+
+    // ========== Worker 管理 ==========
+
+    async _start(workerUrl, useWorker, matcherConfig) {
+        if (useWorker && typeof Worker !== 'undefined') {
+            try {
+                this._worker = await AsyncFaceMatcher._spawn(workerUrl);
+                this._worker.onmessage = (event) => this._onMessage(event.data);
+                this._worker.onerror = (event) => this._onWorkerError(event);
+                await this._call('configure', [matcherConfig]);
+                console.log('AsyncFaceMatcher: Matching runs in a Web Worker');
+                return;
+            } catch (error) {
+                console.warn('AsyncFaceMatcher: Web Worker unavailable, matching on the main thread', error);
+                if (this._worker) this._worker.terminate();
+                this._worker = null;
+            }
+        }
+
+        this._handlers = AsyncFaceMatcher.createHandlers();
+        this._handlers.configure(matcherConfig);
+    }
+
+    /**
+     * 创建 worker 并等待其加载完依赖脚本
+     */
+    static _spawn(workerUrl) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(workerUrl);
+
+            worker.onmessage = (event) => {
+                if (event.data && event.data.type === 'ready') {
+                    resolve(worker);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                reject(new Error(event.message || 'Failed to start matcher worker'));
+            };
+        });
+    }
+
+    _onMessage(message) {
+        const pending = this._pending.get(message.id);
+        if (!pending) return;
+
+        this._pending.delete(message.id);
+        if (message.error) {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            pending.reject(error);
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    _onWorkerError(event) {
+        console.error('AsyncFaceMatcher: Worker error', event.message);
+        const error = new Error(event.message || 'Matcher worker failed');
+        this._pending.forEach(pending => pending.reject(error));
+        this._pending.clear();
+    }
+
+    /**
+     * 调用 worker（或主线程）中的方法
+     * @param {string} method
+     * @param {Array} args
+     * @param {Array<ArrayBuffer>} transfer - 转移所有权的 buffer
+     */
+    _call(method, args = [], transfer = []) {
+        if (this._handlers) {
+            return Promise.resolve().then(() => this._handlers[method](...args));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this._nextId++;
+            this._pending.set(id, { resolve, reject });
+            this._worker.postMessage({ id, method, args }, transfer);
+        });
+    }
+
+    /**
+     * 终止 worker
+     */
+    terminate() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+        this._pending.clear();
+    }
+
+    // ========== 数据加载 ==========
+
+    /**
+     * 从 FaceStorage 加载用户数据
+     * IndexedDB 读取和解密在主线程完成，特征向量打包后转移给 worker；
+     * 已保存的近似索引一并传入，worker 重新构建的索引传回主线程保存
+     */
+    async loadFromStorage(storage) {
+        try {
+            if (storage.isLocked && storage.isLocked()) {
+                return { success: false, locked: true, error: 'Face database is locked' };
+            }
+
+            const users = await storage.getAllUsers();
+            const savedIndex = this.config.annIndex && storage.loadSearchIndex
+                ? await storage.loadSearchIndex('lsh')
+                : null;
+            const calibration = storage.loadCalibration ? await storage.loadCalibration() : null;
+
+            const packed = AsyncFaceMatcher.packUsers(users.map(u => ({
+                id: u.userId,
+                name: u.name,
+                descriptors: u.descriptors,
+                meanDescriptor: u.meanDescriptor,
+                matchThreshold: u.matchThreshold,
+                thresholdMetric: u.thresholdMetric
+            })));
+
+            await this._ready;
+            const { indexToSave, ...result } = await this._call('loadFromStorage', [packed, savedIndex, calibration], [packed.buffer]);
+
+            if (indexToSave && storage.saveSearchIndex) {
+                try {
+                    await storage.saveSearchIndex('lsh', indexToSave);
+                } catch (error) {
+                    console.warn('AsyncFaceMatcher: Failed to save LSH index', error);
+                }
+            }
+
+            return this._afterLoad(result);
+        } catch (error) {
+            console.error('AsyncFaceMatcher: Failed to load from storage', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 直接从数据数组加载用户数据
+     * @param {Array} usersArray - [{ id, name, descriptors, meanDescriptor }]
+     */
+    async loadFromData(usersArray) {
+        if (!Array.isArray(usersArray)) {
+            return { success: false, error: 'Invalid format: expected array' };
+        }
+
+        try {
+            const packed = AsyncFaceMatcher.packUsers(usersArray);
+            await this._ready;
+            return this._afterLoad(await this._call('loadFromData', [packed], [packed.buffer]));
+        } catch (error) {
+            console.error('AsyncFaceMatcher: Failed to load from data', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 从文件加载（JSON / 导出包 / .fdb），文件在 worker 中读取和解析
+     */
+    async loadFromFile(file, bundleOptions = {}) {
+        try {
+            await this._ready;
+            return this._afterLoad(await this._call('loadFromFile', [file, bundleOptions]));
+        } catch (error) {
+            console.error('AsyncFaceMatcher: Failed to load file', error);
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    _afterLoad({ users, ...result }) {
+        if (result.success) {
+            this.registeredUsers = users;
+            this._emitChange('load');
+        }
+        return result;
+    }
+
+    // ========== 增量更新 ==========
+
+    async addUser(user) {
+        return this._applyChange('add', 'addUser', user, user && user.id);
+    }
+
+    async updateUser(user) {
+        return this._applyChange('update', 'updateUser', user, user && user.id);
+    }
+
+    async removeUser(userId) {
+        await this._ready;
+        const { users, ...result } = await this._call('removeUser', [userId]);
+        return this._afterChange('remove', userId, users, result);
+    }
+
+    async _applyChange(type, method, user, userId) {
+        const packed = AsyncFaceMatcher.packUsers([user]);
+        await this._ready;
+        const { users, ...result } = await this._call(method, [packed], [packed.buffer]);
+        return this._afterChange(type, userId, users, result);
+    }
+
+    _afterChange(type, userId, users, result) {
+        if (result.success) {
+            this.registeredUsers = users;
+            this._emitChange(type, userId);
+        }
+        return result;
+    }
+
+    _emitChange(type, userId = null) {
+        if (this.onChange) {
+            this.onChange({ type, userId, userCount: this.registeredUsers.length });
+        }
+    }
+
+    // ========== 置信度校准 ==========
+
+    /**
+     * 设置置信度校准（见 FaceMatcher.setCalibration）
+     * @param {ScoreCalibrator|Object|null} calibration
+     * @returns {Promise<boolean>} 是否已应用
+     */
+    async setCalibration(calibration) {
+        const data = calibration && typeof calibration.toJSON === 'function' ? calibration.toJSON() : calibration;
+        await this._ready;
+        return this._call('setCalibration', [data || null]);
+    }
+
+    // ========== 人脸匹配 ==========
+
+    /**
+     * 查找最佳匹配（复制特征向量后转移给 worker，不影响调用方的数组）
+     * @returns {Promise<Object>} 与 FaceMatcher.findBestMatch 相同的结果
+     */
+    async findBestMatch(queryDescriptor) {
+        const query = Float32Array.from(queryDescriptor || []);
+        await this._ready;
+        return this._call('findBestMatch', [query.buffer], [query.buffer]);
+    }
+
+    /**
+     * @returns {Promise<Array>} 与 FaceMatcher.findTopMatches 相同的结果
+     */
+    async findTopMatches(queryDescriptor, topK = 3) {
+        const query = Float32Array.from(queryDescriptor || []);
+        await this._ready;
+        return this._call('findTopMatches', [query.buffer, topK], [query.buffer]);
+    }
+
+    // ========== 状态查询 ==========
+
+    getRegisteredUsers() {
+        return this.registeredUsers.map(u => ({ id: u.id, name: u.name }));
+    }
+
+    getUserCount() {
+        return this.registeredUsers.length;
+    }
+
+    isReady() {
+        return this.registeredUsers.length > 0;
+    }
+
+    async getStats() {
+        await this._ready;
+        return this._call('getStats');
+    }
+
+    async resetStats() {
+        await this._ready;
+        return this._call('resetStats');
+    }
+
+    async clear() {
+        this.registeredUsers = [];
+        this._emitChange('clear');
+        await this._ready;
+        return this._call('clear');
+    }
+
+    // ========== 消息处理（worker 和主线程退回共用） ==========
+
+    /**
+     * 创建方法表：每个方法的参数和返回值都可以被结构化克隆
+     */
+    static createHandlers() {
+        let matcher = new FaceMatcher();
+        const withUsers = (result) => ({ ...result, users: matcher.getRegisteredUsers() });
+
+        return {
+            configure(config) {
+                matcher = new FaceMatcher(config);
+                return true;
+            },
+
+            loadFromData(packed) {
+                return withUsers(matcher.loadFromData(AsyncFaceMatcher.unpackUsers(packed)));
+            },
+
+            async loadFromStorage(packed, savedIndex, calibration) {
+                let indexToSave = null;
+
+                // 与 FaceStorage 接口一致的适配器：数据由主线程传入，需要保存的索引传回主线程
+                const storage = {
+                    getAllUsers: async () => AsyncFaceMatcher.unpackUsers(packed).map(u => ({ ...u, userId: u.id })),
+                    loadSearchIndex: async () => savedIndex,
+                    saveSearchIndex: async (name, data) => { indexToSave = data; },
+                    loadCalibration: async () => calibration
+                };
+
+                const result = await matcher.loadFromStorage(storage);
+                return { ...withUsers(result), indexToSave };
+            },
+
+            async loadFromFile(file, bundleOptions) {
+                return withUsers(await matcher.loadFromFile(file, bundleOptions));
+            },
+
+            addUser(packed) {
+                return withUsers(matcher.addUser(AsyncFaceMatcher.unpackUsers(packed)[0]));
+            },
+
+            updateUser(packed) {
+                return withUsers(matcher.updateUser(AsyncFaceMatcher.unpackUsers(packed)[0]));
+            },
+
+            removeUser(userId) {
+                return withUsers(matcher.removeUser(userId));
+            },
+
+            setCalibration(calibration) {
+                return matcher.setCalibration(calibration);
+            },
+
+            findBestMatch(buffer) {
+                return matcher.findBestMatch(new Float32Array(buffer));
+            },
+
+            findTopMatches(buffer, topK) {
+                return matcher.findTopMatches(new Float32Array(buffer), topK);
+            },
+
+            getStats() {
+                return matcher.getStats();
+            },
+
+            resetStats() {
+                matcher.resetStats();
+                return true;
+            },
+
+            clear() {
+                matcher.clear();
+                return true;
+            }
+        };
+    }
+
+    // ========== 打包 ==========
+
+    /**
+     * 将用户数组打包为一个 Float32Array buffer + 元数据
+     * 每个用户的行依次为 descriptors，然后是 meanDescriptor（如有）
+     * 维度不一致的向量保持原样放在 raw 中，交给 FaceMatcher 的校验报告
+     * @returns {{ users: Array, buffer: ArrayBuffer, dim: number }}
+     */
+    static packUsers(users) {
+        const isVector = (v) => !!v && typeof v.length === 'number' && typeof v !== 'string';
+        const first = users.find(u => u && Array.isArray(u.descriptors) && isVector(u.descriptors[0]));
+        const dim = first ? first.descriptors[0].length : 0;
+        const fits = (v) => isVector(v) && v.length === dim;
+
+        // 只有所有向量维度一致时才打包，否则原样传递（由 DescriptorValidator 报告错误）
+        const packable = users.every(u =>
+            u && Array.isArray(u.descriptors) && u.descriptors.every(fits) &&
+            (u.meanDescriptor === undefined || u.meanDescriptor === null || fits(u.meanDescriptor))
+        );
+
+        if (!packable || dim === 0) {
+            return { users, buffer: new ArrayBuffer(0), dim: 0, raw: true };
+        }
+
+        const vectors = [];
+        const meta = users.map(u => {
+            const { descriptors, meanDescriptor, ...rest } = u;
+            vectors.push(...descriptors);
+            const hasMean = meanDescriptor !== undefined && meanDescriptor !== null;
+            if (hasMean) vectors.push(meanDescriptor);
+            return { ...rest, descriptorCount: descriptors.length, hasMean };
+        });
+
+        const { buffer } = FaceCrypto.packVectors(vectors);
+        return { users: meta, buffer, dim, raw: false };
+    }
+
+    /**
+     * packUsers 的逆操作（descriptors 为共享同一 buffer 的 Float32Array 视图）
+     */
+    static unpackUsers(packed) {
+        if (packed.raw) {
+            return packed.users;
+        }
+
+        const all = new Float32Array(packed.buffer);
+        const dim = packed.dim;
+        let row = 0;
+        const next = () => all.subarray(row * dim, (++row) * dim);
+
+        return packed.users.map(({ descriptorCount, hasMean, ...rest }) => {
+            const descriptors = [];
+            for (let i = 0; i < descriptorCount; i++) {
+                descriptors.push(next());
+            }
+            return { ...rest, descriptors, meanDescriptor: hasMean ? next() : null };
+        });
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AsyncFaceMatcher, ASYNC_MATCHER_DEFAULTS };
+}
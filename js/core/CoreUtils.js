@@ -0,0 +1,74 @@
+/**
+ * CoreUtils.js
+ * --------------
+ * core 模块共用的小工具（不依赖其他模块，页面和 Worker 中最先加载）
+ *
+ * - seededRandom：可复现的伪随机数（mulberry32），用于抽样和 LSH 超平面
+ * - clamp / ramp：数值截断与线性映射
+ * - landmarkPoints / detectionBox / pointDistance：读取 face-api.js 的特征点和人脸框
+ */
+
+class CoreUtils {
+    /**
+     * 由 seed 生成 [0, 1) 的伪随机数函数（mulberry32）
+     * @param {number} seed
+     * @returns {Function} () => number
+     */
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * value 在 [low, high] 之间线性映射到 [0, 1]
+     */
+    static ramp(value, low, high) {
+        if (high <= low) return value >= high ? 1 : 0;
+        return CoreUtils.clamp((value - low) / (high - low), 0, 1);
+    }
+
+    /**
+     * 特征点坐标（FaceLandmarks68 或点数组）→ [{ x, y }]
+     * @returns {Array<{x: number, y: number}>|null}
+     */
+    static landmarkPoints(landmarks) {
+        if (!landmarks) return null;
+        const positions = Array.isArray(landmarks) ? landmarks : (landmarks.positions || landmarks._positions);
+        if (!positions) return null;
+        return positions.map(p => ({ x: p.x ?? p._x, y: p.y ?? p._y }));
+    }
+
+    /**
+     * 检测结果（或 FaceDetection）的人脸框 → { x, y, width, height }
+     */
+    static detectionBox(detection) {
+        if (!detection) return null;
+        const raw = detection.detection ? (detection.detection.box || detection.detection._box) : (detection.box || detection._box);
+        if (!raw) return null;
+        return {
+            x: raw.x ?? raw._x,
+            y: raw.y ?? raw._y,
+            width: raw.width ?? raw._width,
+            height: raw.height ?? raw._height
+        };
+    }
+
+    static pointDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CoreUtils };
+}
@@ -0,0 +1,384 @@
+/**
+ * DescriptorCodec.js
+ * -------------------
+ * 紧凑二进制特征库格式（.fdb）- 可选精度 float32 / float16 / int8
+ *
+ * 布局（小端序）：
+ *   Header:  magic 'FDB1' | u16 formatVersion | u8 precision | u8 reserved | u16 dim | u32 userCount
+ *   每个用户: u16 idLength | id (UTF-8) | u16 nameLength | name (UTF-8) | f64 registeredAt
+ *            | u8 flags (bit0 = 有 meanDescriptor, bit1 = id 为数字, bit2 = 有个人阈值) | u16 descriptorCount
+ *            | [有个人阈值: f64 matchThreshold | u8 thresholdMetric（METRIC_CODES 下标）]
+ *            | 向量 × (descriptorCount + 有 mean ? 1 : 0)
+ *   向量:     float32 = dim × 4 字节
+ *            float16 = dim × 2 字节
+ *            int8    = f32 scale + dim × 1 字节（value = q × scale，scale = max|v| / 127）
+ *
+ * 128 维向量：float32 512 字节，float16 256 字节，int8 132 字节（JSON 约 2.5KB）
+ *
+ * 版本：v2 加入个人阈值（bit2），v1 文件仍可读取（没有个人阈值）
+ */
+
+const DescriptorPrecision = {
+    FLOAT32: 'float32',
+    FLOAT16: 'float16',
+    INT8: 'int8'
+};
+
+const CODEC_MAGIC = 'FDB1';
+const CODEC_FORMAT_VERSION = 2;
+const PRECISION_CODES = ['float32', 'float16', 'int8'];
+const METRIC_CODES = ['euclidean', 'squared_euclidean', 'normalized_euclidean', 'cosine'];
+
+const USER_FLAG_HAS_MEAN = 1;
+const USER_FLAG_NUMERIC_ID = 2;
+const USER_FLAG_HAS_THRESHOLD = 4;
+
+class DescriptorCodec {
+    /**
+     * 判断 ArrayBuffer 是否为 .fdb 格式
+     */
+    static isBinary(buffer) {
+        if (!buffer || buffer.byteLength < 4) return false;
+        const bytes = new Uint8Array(buffer, 0, 4);
+        return String.fromCharCode(...bytes) === CODEC_MAGIC;
+    }
+
+    /**
+     * 编码用户记录
+     * @param {Array} records - [{ id, name, descriptors, meanDescriptor, registeredAt, matchThreshold, thresholdMetric }]
+     * @param {Object} options - { precision: 'float32' | 'float16' | 'int8' }
+     * @returns {ArrayBuffer}
+     */
+    static encode(records, options = {}) {
+        const precision = options.precision || DescriptorPrecision.FLOAT32;
+        const precisionCode = PRECISION_CODES.indexOf(precision);
+        if (precisionCode < 0) {
+            throw new Error(`Unknown precision: ${precision}`);
+        }
+
+        const firstDescriptor = records.find(r => r.descriptors && r.descriptors.length > 0)?.descriptors[0];
+        const dim = firstDescriptor ? firstDescriptor.length : 0;
+        const encoder = new TextEncoder();
+
+        // 先计算总长度
+        const vectorBytes = DescriptorCodec._vectorBytes(precision, dim);
+        const prepared = records.map(record => {
+            const idBytes = encoder.encode(String(record.id));
+            const nameBytes = encoder.encode(record.name || '');
+            const vectors = record.meanDescriptor
+                ? [...record.descriptors, record.meanDescriptor]
+                : record.descriptors;
+
+            vectors.forEach(vec => {
+                if (vec.length !== dim) {
+                    throw new Error(`Descriptor length mismatch for "${record.id}": ${vec.length} != ${dim}`);
+                }
+            });
+
+            let metricCode = -1;
+            if (typeof record.matchThreshold === 'number') {
+                metricCode = METRIC_CODES.indexOf(record.thresholdMetric || 'euclidean');
+                if (metricCode < 0) {
+                    throw new Error(`Unknown threshold metric for "${record.id}": ${record.thresholdMetric}`);
+                }
+            }
+
+            return { record, idBytes, nameBytes, vectors, metricCode };
+        });
+
+        const totalBytes = 14 + prepared.reduce((sum, p) =>
+            sum + 2 + p.idBytes.length + 2 + p.nameBytes.length + 8 + 1 + 2 +
+            (p.metricCode >= 0 ? 9 : 0) + p.vectors.length * vectorBytes, 0);
+
+        const buffer = new ArrayBuffer(totalBytes);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        // Header
+        for (let i = 0; i < 4; i++) view.setUint8(offset++, CODEC_MAGIC.charCodeAt(i));
+        view.setUint16(offset, CODEC_FORMAT_VERSION, true); offset += 2;
+        view.setUint8(offset++, precisionCode);
+        view.setUint8(offset++, 0);
+        view.setUint16(offset, dim, true); offset += 2;
+        view.setUint32(offset, records.length, true); offset += 4;
+
+        // Users
+        prepared.forEach(({ record, idBytes, nameBytes, vectors, metricCode }) => {
+            view.setUint16(offset, idBytes.length, true); offset += 2;
+            bytes.set(idBytes, offset); offset += idBytes.length;
+            view.setUint16(offset, nameBytes.length, true); offset += 2;
+            bytes.set(nameBytes, offset); offset += nameBytes.length;
+            view.setFloat64(offset, record.registeredAt || 0, true); offset += 8;
+
+            let flags = 0;
+            if (record.meanDescriptor) flags |= USER_FLAG_HAS_MEAN;
+            if (typeof record.id === 'number') flags |= USER_FLAG_NUMERIC_ID;
+            if (metricCode >= 0) flags |= USER_FLAG_HAS_THRESHOLD;
+            view.setUint8(offset++, flags);
+            view.setUint16(offset, record.descriptors.length, true); offset += 2;
+
+            if (metricCode >= 0) {
+                view.setFloat64(offset, record.matchThreshold, true); offset += 8;
+                view.setUint8(offset++, metricCode);
+            }
+
+            vectors.forEach(vec => {
+                offset = DescriptorCodec._writeVector(view, offset, vec, precision);
+            });
+        });
+
+        return buffer;
+    }
+
+    /**
+     * 解码 .fdb 数据
+     * @param {ArrayBuffer} buffer
+     * @returns {{ precision: string, dim: number, records: Array }}
+     */
+    static decode(buffer) {
+        if (!DescriptorCodec.isBinary(buffer)) {
+            throw new Error('Invalid binary file: bad magic');
+        }
+
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+        let offset = 4;
+
+        const version = view.getUint16(offset, true); offset += 2;
+        if (version > CODEC_FORMAT_VERSION) {
+            throw new Error(`Binary format v${version} is newer than supported v${CODEC_FORMAT_VERSION}`);
+        }
+
+        const precision = PRECISION_CODES[view.getUint8(offset++)];
+        if (!precision) {
+            throw new Error('Invalid binary file: unknown precision');
+        }
+        offset++; // reserved
+        const dim = view.getUint16(offset, true); offset += 2;
+        const userCount = view.getUint32(offset, true); offset += 4;
+
+        const records = [];
+        try {
+            for (let u = 0; u < userCount; u++) {
+                const idLength = view.getUint16(offset, true); offset += 2;
+                const idText = decoder.decode(bytes.subarray(offset, offset + idLength)); offset += idLength;
+                const nameLength = view.getUint16(offset, true); offset += 2;
+                const name = decoder.decode(bytes.subarray(offset, offset + nameLength)); offset += nameLength;
+                const registeredAt = view.getFloat64(offset, true); offset += 8;
+                const flags = view.getUint8(offset++);
+                const descriptorCount = view.getUint16(offset, true); offset += 2;
+
+                let threshold = null;
+                if (flags & USER_FLAG_HAS_THRESHOLD) {
+                    const matchThreshold = view.getFloat64(offset, true); offset += 8;
+                    const thresholdMetric = METRIC_CODES[view.getUint8(offset++)];
+                    if (!thresholdMetric) {
+                        throw new Error('Invalid binary file: unknown threshold metric');
+                    }
+                    threshold = { matchThreshold, thresholdMetric };
+                }
+
+                const descriptors = [];
+                for (let i = 0; i < descriptorCount; i++) {
+                    const [vec, next] = DescriptorCodec._readVector(view, offset, dim, precision);
+                    descriptors.push(vec);
+                    offset = next;
+                }
+
+                let meanDescriptor = null;
+                if (flags & USER_FLAG_HAS_MEAN) {
+                    [meanDescriptor, offset] = DescriptorCodec._readVector(view, offset, dim, precision);
+                }
+
+                records.push({
+                    id: flags & USER_FLAG_NUMERIC_ID ? Number(idText) : idText,
+                    name,
+                    descriptors,
+                    meanDescriptor,
+                    registeredAt: registeredAt || null,
+                    ...threshold
+                });
+            }
+        } catch (error) {
+            if (error instanceof RangeError) {
+                throw new Error('Invalid binary file: truncated data');
+            }
+            throw error;
+        }
+
+        return { precision, dim, records };
+    }
+
+    /**
+     * 按指定精度量化再还原一个向量（用于评估精度损失）
+     */
+    static roundTrip(vector, precision) {
+        const buffer = new ArrayBuffer(DescriptorCodec._vectorBytes(precision, vector.length));
+        const view = new DataView(buffer);
+        DescriptorCodec._writeVector(view, 0, vector, precision);
+        return DescriptorCodec._readVector(view, 0, vector.length, precision)[0];
+    }
+
+    /**
+     * 测量各精度对匹配结果的影响
+     * 以每个用户的单帧特征向量为查询，分别在原始库和量化库上运行 FaceMatcher.findBestMatch，
+     * 比较匹配结果是否一致以及距离偏差
+     * @param {Array} records - 导出格式的用户记录
+     * @param {Object} matcherConfig - FaceMatcher 配置（阈值等）
+     * @returns {Array} 每种精度一行：{ precision, bytes, bytesPerVector, maxValueError, meanDistanceError, maxDistanceError, decisionAgreement, probes }
+     */
+    static measurePrecisionImpact(records, matcherConfig = {}) {
+        const baseline = new FaceMatcher(matcherConfig);
+        baseline.loadFromData(records);
+
+        const probes = [];
+        records.forEach(record => {
+            (record.descriptors || []).forEach(d => probes.push(d instanceof Float32Array ? d : new Float32Array(d)));
+        });
+
+        return Object.values(DescriptorPrecision).map(precision => {
+            const buffer = DescriptorCodec.encode(records, { precision });
+            const { records: decoded } = DescriptorCodec.decode(buffer);
+
+            // 逐值误差
+            let maxValueError = 0;
+            records.forEach((record, r) => {
+                record.descriptors.forEach((desc, i) => {
+                    const restored = decoded[r].descriptors[i];
+                    for (let k = 0; k < desc.length; k++) {
+                        maxValueError = Math.max(maxValueError, Math.abs(desc[k] - restored[k]));
+                    }
+                });
+            });
+
+            // 匹配结果一致性
+            const quantized = new FaceMatcher(matcherConfig);
+            quantized.loadFromData(decoded);
+
+            let agree = 0;
+            let distanceErrorSum = 0;
+            let maxDistanceError = 0;
+            probes.forEach(probe => {
+                const a = baseline.findBestMatch(probe);
+                const b = quantized.findBestMatch(probe);
+                const sameDecision = a.status === b.status && (a.user?.id ?? null) === (b.user?.id ?? null);
+                if (sameDecision) agree++;
+
+                const distanceError = Math.abs(a.distance - b.distance);
+                distanceErrorSum += distanceError;
+                maxDistanceError = Math.max(maxDistanceError, distanceError);
+            });
+
+            return {
+                precision,
+                bytes: buffer.byteLength,
+                bytesPerVector: DescriptorCodec._vectorBytes(precision, decoded[0]?.descriptors[0]?.length || 0),
+                maxValueError,
+                meanDistanceError: probes.length > 0 ? distanceErrorSum / probes.length : 0,
+                maxDistanceError,
+                decisionAgreement: probes.length > 0 ? agree / probes.length : 1,
+                probes: probes.length
+            };
+        });
+    }
+
+    // ========== 向量读写 ==========
+
+    static _vectorBytes(precision, dim) {
+        if (precision === DescriptorPrecision.FLOAT16) return dim * 2;
+        if (precision === DescriptorPrecision.INT8) return 4 + dim;
+        return dim * 4;
+    }
+
+    static _writeVector(view, offset, vec, precision) {
+        if (precision === DescriptorPrecision.FLOAT16) {
+            for (let i = 0; i < vec.length; i++) {
+                view.setUint16(offset, DescriptorCodec._toHalf(vec[i]), true);
+                offset += 2;
+            }
+        } else if (precision === DescriptorPrecision.INT8) {
+            let maxAbs = 0;
+            for (let i = 0; i < vec.length; i++) maxAbs = Math.max(maxAbs, Math.abs(vec[i]));
+            const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+            view.setFloat32(offset, scale, true);
+            offset += 4;
+            for (let i = 0; i < vec.length; i++) {
+                view.setInt8(offset++, Math.max(-127, Math.min(127, Math.round(vec[i] / scale))));
+            }
+        } else {
+            for (let i = 0; i < vec.length; i++) {
+                view.setFloat32(offset, vec[i], true);
+                offset += 4;
+            }
+        }
+        return offset;
+    }
+
+    static _readVector(view, offset, dim, precision) {
+        const vec = new Float32Array(dim);
+        if (precision === DescriptorPrecision.FLOAT16) {
+            for (let i = 0; i < dim; i++) {
+                vec[i] = DescriptorCodec._fromHalf(view.getUint16(offset, true));
+                offset += 2;
+            }
+        } else if (precision === DescriptorPrecision.INT8) {
+            const scale = view.getFloat32(offset, true);
+            offset += 4;
+            for (let i = 0; i < dim; i++) {
+                vec[i] = view.getInt8(offset++) * scale;
+            }
+        } else {
+            for (let i = 0; i < dim; i++) {
+                vec[i] = view.getFloat32(offset, true);
+                offset += 4;
+            }
+        }
+        return [vec, offset];
+    }
+
+    // ========== float16 转换 ==========
+
+    static _toHalf(value) {
+        const f32 = new Float32Array([value]);
+        const bits = new Uint32Array(f32.buffer)[0];
+
+        const sign = (bits >>> 16) & 0x8000;
+        const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+        let mantissa = bits & 0x7fffff;
+
+        if (exponent <= 0) {
+            // 非规格化数 / 下溢为 0
+            if (exponent < -10) return sign;
+            mantissa |= 0x800000;
+            const shift = 14 - exponent;
+            let half = mantissa >> shift;
+            if ((mantissa >> (shift - 1)) & 1) half++; // 四舍五入
+            return sign | half;
+        }
+        if (exponent >= 31) {
+            // 溢出为无穷大（NaN 保持为 NaN）
+            return sign | 0x7c00 | (((bits >>> 23) & 0xff) === 0xff && mantissa ? 0x200 : 0);
+        }
+
+        let half = sign | (exponent << 10) | (mantissa >> 13);
+        if (mantissa & 0x1000) half++; // 四舍五入（进位可正确溢出到指数位）
+        return half;
+    }
+
+    static _fromHalf(half) {
+        const sign = half & 0x8000 ? -1 : 1;
+        const exponent = (half >> 10) & 0x1f;
+        const mantissa = half & 0x3ff;
+
+        if (exponent === 0) return sign * Math.pow(2, -14) * (mantissa / 1024);
+        if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+        return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DescriptorCodec, DescriptorPrecision };
+}
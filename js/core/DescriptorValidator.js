@@ -0,0 +1,196 @@
+/**
+ * DescriptorValidator.js
+ * -----------------------
+ * 特征向量数据校验 - FaceMatcher 加载和 FaceStorage 导入共用
+ *
+ * 检查项：
+ * - id 存在、类型正确、不重复
+ * - name 类型
+ * - 特征向量维度与识别模型一致
+ * - 所有值为有限数
+ * - 向量范数在合理范围内（排除全零或异常放大的向量）
+ * - 个人匹配阈值（可选）为正的有限数
+ */
+
+// 错误代码
+const ValidationCode = {
+    NOT_OBJECT: 'not_object',
+    MISSING_ID: 'missing_id',
+    INVALID_ID: 'invalid_id',
+    DUPLICATE_ID: 'duplicate_id',
+    INVALID_NAME: 'invalid_name',
+    MISSING_DESCRIPTORS: 'missing_descriptors',
+    INVALID_DESCRIPTOR: 'invalid_descriptor',
+    DIMENSION_MISMATCH: 'dimension_mismatch',
+    NON_FINITE: 'non_finite',
+    ABNORMAL_NORM: 'abnormal_norm',
+    INVALID_THRESHOLD: 'invalid_threshold'
+};
+
+// face-api.js FaceRecognitionNet 输出维度
+const DEFAULT_DESCRIPTOR_LENGTH = 128;
+
+const VALIDATOR_DEFAULTS = {
+    expectedLength: null,   // null = 从已加载的识别模型推断
+    minNorm: 0.1,           // 范数下限（全零 / 近零向量无法区分身份）
+    maxNorm: 5.0,           // 范数上限
+    idField: 'id'           // 记录中的 id 字段（FaceStorage 记录为 userId）
+};
+
+class DescriptorValidator {
+    constructor(config = {}) {
+        this.config = { ...VALIDATOR_DEFAULTS, ...config };
+
+        if (!this.config.expectedLength) {
+            this.config.expectedLength = DescriptorValidator.detectDescriptorLength();
+        }
+    }
+
+    /**
+     * 从已加载的 faceRecognitionNet 推断特征向量维度（全连接层输出通道数）
+     */
+    static detectDescriptorLength() {
+        try {
+            const net = typeof faceapi !== 'undefined' ? faceapi.nets.faceRecognitionNet : null;
+            const fc = net && net.isLoaded && net.params ? net.params.fc : null;
+            if (fc && fc.shape && fc.shape.length === 2) {
+                return fc.shape[1];
+            }
+        } catch (error) {
+            // 模型未加载时使用默认值
+        }
+        return DEFAULT_DESCRIPTOR_LENGTH;
+    }
+
+    /**
+     * 校验单个特征向量
+     * @returns {Object|null} { code, message }，有效时返回 null
+     */
+    validateDescriptor(descriptor) {
+        if (!descriptor || typeof descriptor.length !== 'number' || typeof descriptor === 'string') {
+            return { code: ValidationCode.INVALID_DESCRIPTOR, message: 'descriptor is not an array' };
+        }
+
+        const expected = this.config.expectedLength;
+        if (descriptor.length !== expected) {
+            return {
+                code: ValidationCode.DIMENSION_MISMATCH,
+                message: `descriptor has ${descriptor.length} values, model expects ${expected}`
+            };
+        }
+
+        let sumSq = 0;
+        for (let i = 0; i < descriptor.length; i++) {
+            const value = descriptor[i];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { code: ValidationCode.NON_FINITE, message: `descriptor value at ${i} is not a finite number` };
+            }
+            sumSq += value * value;
+        }
+
+        const norm = Math.sqrt(sumSq);
+        if (norm < this.config.minNorm || norm > this.config.maxNorm) {
+            return {
+                code: ValidationCode.ABNORMAL_NORM,
+                message: `descriptor norm ${norm.toFixed(3)} outside [${this.config.minNorm}, ${this.config.maxNorm}]`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验单条用户记录
+     * @param {Object} user - { id, name, descriptors, meanDescriptor }
+     * @param {Set} seenIds - 已出现的 id（用于检测重复）
+     * @returns {Array} 错误列表 [{ field, code, message }]
+     */
+    validateUser(user, seenIds = new Set()) {
+        const errors = [];
+        const add = (field, code, message) => errors.push({ field, code, message });
+
+        if (!user || typeof user !== 'object' || Array.isArray(user)) {
+            add(null, ValidationCode.NOT_OBJECT, 'record is not an object');
+            return errors;
+        }
+
+        const id = user[this.config.idField];
+        if (id === undefined || id === null || id === '') {
+            add('id', ValidationCode.MISSING_ID, 'missing id');
+        } else if (typeof id !== 'string' && typeof id !== 'number') {
+            add('id', ValidationCode.INVALID_ID, `id must be a string or number, got ${typeof id}`);
+        } else if (seenIds.has(id)) {
+            add('id', ValidationCode.DUPLICATE_ID, `duplicate id "${id}"`);
+        }
+
+        if (user.name !== undefined && user.name !== null && typeof user.name !== 'string') {
+            add('name', ValidationCode.INVALID_NAME, `name must be a string, got ${typeof user.name}`);
+        }
+
+        if (!Array.isArray(user.descriptors) || user.descriptors.length === 0) {
+            add('descriptors', ValidationCode.MISSING_DESCRIPTORS, 'missing descriptors');
+        } else {
+            user.descriptors.forEach((descriptor, i) => {
+                const error = this.validateDescriptor(descriptor);
+                if (error) add(`descriptors[${i}]`, error.code, error.message);
+            });
+        }
+
+        if (user.meanDescriptor !== undefined && user.meanDescriptor !== null) {
+            const error = this.validateDescriptor(user.meanDescriptor);
+            if (error) add('meanDescriptor', error.code, error.message);
+        }
+
+        if (user.matchThreshold !== undefined && user.matchThreshold !== null &&
+            !(typeof user.matchThreshold === 'number' && Number.isFinite(user.matchThreshold) && user.matchThreshold > 0)) {
+            add('matchThreshold', ValidationCode.INVALID_THRESHOLD, 'matchThreshold must be a positive number');
+        }
+
+        return errors;
+    }
+
+    /**
+     * 校验用户数组
+     * @returns {Object} { valid: 有效记录数组, errors: [{ index, id, field, code, message }], invalidIndexes: Set }
+     */
+    validateUsers(users) {
+        const valid = [];
+        const errors = [];
+        const invalidIndexes = new Set();
+        const seenIds = new Set();
+
+        users.forEach((user, index) => {
+            const userErrors = this.validateUser(user, seenIds);
+            const id = user && typeof user === 'object' ? user[this.config.idField] : undefined;
+
+            if (userErrors.length > 0) {
+                invalidIndexes.add(index);
+                userErrors.forEach(error => errors.push({ index, id: id ?? null, ...error }));
+                return;
+            }
+
+            seenIds.add(id);
+            valid.push(user);
+        });
+
+        return { valid, errors, invalidIndexes };
+    }
+
+    /**
+     * 将错误列表格式化为可读文本
+     */
+    static formatErrors(errors, limit = 5) {
+        const lines = errors.slice(0, limit).map(e =>
+            `#${e.index}${e.id !== null && e.id !== undefined ? ` (${e.id})` : ''}${e.field ? ` ${e.field}` : ''}: ${e.message}`
+        );
+        if (errors.length > limit) {
+            lines.push(`...and ${errors.length - limit} more`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DescriptorValidator, ValidationCode, DEFAULT_DESCRIPTOR_LENGTH };
+}
@@ -0,0 +1,174 @@
+/**
+ * DistanceMetrics.js
+ * --------------------
+ * 距离度量 - FaceMatcher、FaceRegistrationManager 和注册时计算的个人阈值共用
+ *
+ * 支持的度量：
+ * - euclidean：欧氏距离（face-api.js 默认，阈值 0.6）
+ * - squared_euclidean：欧氏距离的平方
+ * - normalized_euclidean：先 L2 归一化再计算欧氏距离（范围 0 - 2）
+ * - cosine：余弦距离 1 - cos(a, b)（范围 0 - 2）
+ *
+ * 所有度量都可以由（归一化后的）平方欧氏距离换算得到，因此 FaceMatcher 的矩阵搜索始终使用平方距离，
+ * 只在输出时换算。归一化度量与原始度量之间的换算假设特征向量范数约为 1（face-api.js 的特征向量满足），
+ * 因此是近似值。
+ */
+
+const DistanceMetric = {
+    EUCLIDEAN: 'euclidean',
+    SQUARED_EUCLIDEAN: 'squared_euclidean',
+    NORMALIZED_EUCLIDEAN: 'normalized_euclidean',
+    COSINE: 'cosine'
+};
+
+// 置信度为 0 时的等效欧氏距离（distance=0 → 100%, 0.6 → 50%, 1.2 → 0%）
+const ZERO_CONFIDENCE_DISTANCE = 1.2;
+
+class DistanceMetrics {
+    static isValid(metric) {
+        return Object.values(DistanceMetric).includes(metric);
+    }
+
+    /**
+     * 检查度量名称，未知时抛出错误
+     */
+    static assertValid(metric) {
+        if (!DistanceMetrics.isValid(metric)) {
+            const error = new Error(`Unknown distance metric "${metric}"`);
+            error.code = 'unknown_metric';
+            throw error;
+        }
+        return metric;
+    }
+
+    /**
+     * 该度量是否在 L2 归一化后的向量上计算
+     */
+    static usesNormalizedVectors(metric) {
+        return metric === DistanceMetric.NORMALIZED_EUCLIDEAN || metric === DistanceMetric.COSINE;
+    }
+
+    /**
+     * 两个向量之间的距离
+     */
+    static distance(a, b, metric = DistanceMetric.EUCLIDEAN) {
+        if (DistanceMetrics.usesNormalizedVectors(metric)) {
+            let dot = 0;
+            let normA = 0;
+            let normB = 0;
+            for (let i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+                normA += a[i] * a[i];
+                normB += b[i] * b[i];
+            }
+            const cos = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+            return DistanceMetrics.fromSquared(Math.max(0, 2 - 2 * cos), metric);
+        }
+
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const diff = a[i] - b[i];
+            sum += diff * diff;
+        }
+        return DistanceMetrics.fromSquared(sum, metric);
+    }
+
+    /**
+     * 平方欧氏距离（归一化度量为归一化向量之间的平方距离）→ 该度量下的距离
+     */
+    static fromSquared(squared, metric) {
+        switch (metric) {
+            case DistanceMetric.SQUARED_EUCLIDEAN:
+                return squared;
+            case DistanceMetric.COSINE:
+                return squared / 2;     // ‖a - b‖² = 2 - 2cos（a、b 为单位向量）
+            default:
+                return Math.sqrt(squared);
+        }
+    }
+
+    /**
+     * fromSquared 的逆运算
+     */
+    static toSquared(distance, metric) {
+        switch (metric) {
+            case DistanceMetric.SQUARED_EUCLIDEAN:
+                return distance;
+            case DistanceMetric.COSINE:
+                return distance * 2;
+            default:
+                return distance * distance;
+        }
+    }
+
+    /**
+     * 等效欧氏距离（用于置信度、开集拒识等以欧氏距离定义的参数）
+     */
+    static toEuclidean(distance, metric) {
+        return Math.sqrt(DistanceMetrics.toSquared(distance, metric));
+    }
+
+    static fromEuclidean(distance, metric) {
+        return DistanceMetrics.fromSquared(distance * distance, metric);
+    }
+
+    /**
+     * 将距离（或阈值）从一种度量换算到另一种
+     */
+    static convert(distance, from, to) {
+        if (from === to) return distance;
+        return DistanceMetrics.fromEuclidean(DistanceMetrics.toEuclidean(distance, from), to);
+    }
+
+    /**
+     * 距离 → 置信度百分比（按等效欧氏距离线性映射，不受阈值影响）
+     */
+    static toConfidence(distance, metric = DistanceMetric.EUCLIDEAN) {
+        const confidence = (1 - DistanceMetrics.toEuclidean(distance, metric) / ZERO_CONFIDENCE_DISTANCE) * 100;
+        return Math.min(100, Math.max(0, confidence));
+    }
+
+    /**
+     * 逐维算术平均（空数组返回 null）
+     * @param {Array<Float32Array|Array<number>>} vectors
+     * @returns {Float32Array|null}
+     */
+    static mean(vectors) {
+        if (!vectors || vectors.length === 0) return null;
+
+        const mean = new Float32Array(vectors[0].length);
+        vectors.forEach(vector => {
+            for (let i = 0; i < mean.length; i++) {
+                mean[i] += vector[i];
+            }
+        });
+        for (let i = 0; i < mean.length; i++) {
+            mean[i] /= vectors.length;
+        }
+        return mean;
+    }
+
+    /**
+     * L2 归一化（返回新的 Float32Array，零向量原样返回）
+     */
+    static normalize(vector) {
+        let sum = 0;
+        for (let i = 0; i < vector.length; i++) {
+            sum += vector[i] * vector[i];
+        }
+
+        const result = Float32Array.from(vector);
+        if (sum === 0) return result;
+
+        const scale = 1 / Math.sqrt(sum);
+        for (let i = 0; i < result.length; i++) {
+            result[i] *= scale;
+        }
+        return result;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DistanceMetrics, DistanceMetric };
+}
@@ -0,0 +1,186 @@
+/**
+ * FaceBundle.js
+ * ---------------
+ * 导出包格式 - 带校验和、可选签名和可选加密的用户数据文件
+ *
+ * 文件结构：
+ * {
+ *   format: 'face-api-wasm/bundle',
+ *   header: { formatVersion, createdAt, descriptorModel, descriptorLength, recordCount, encryption, signed },
+ *   payload: 记录数组的 JSON 字符串（加密时为 base64 密文）,
+ *   checksum: SHA-256(header + payload),
+ *   signature: HMAC-SHA256(header + payload) 或 null
+ * }
+ *
+ * 校验和与签名覆盖 header 和 payload，导入时先校验再解密 / 解析，
+ * 任何篡改都会在数据到达 FaceStorage.saveUser 之前被拒绝
+ *
+ * 依赖 FaceCrypto.js
+ */
+
+const BUNDLE_FORMAT = 'face-api-wasm/bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const BUNDLE_DESCRIPTOR_MODEL = 'face_recognition_model';
+// 打开时接受的 PBKDF2 迭代次数上限：未签名的导出包 header 无法认证（校验和谁都能重算），
+// 不限制时篡改的文件可以让浏览器长时间卡在密钥派生上
+const BUNDLE_MAX_ITERATIONS = 10 * CRYPTO_DEFAULTS.iterations;
+
+class FaceBundle {
+    /**
+     * 判断解析后的 JSON 是否为导出包
+     */
+    static isBundle(data) {
+        return !!data && typeof data === 'object' && data.format === BUNDLE_FORMAT;
+    }
+
+    /**
+     * 创建导出包
+     * @param {Array} records - [{ id, name, descriptors, meanDescriptor, registeredAt }]
+     * @param {Object} options
+     * @param {string} [options.passphrase] - 提供时加密 payload
+     * @param {string} [options.signingKey] - 提供时附加 HMAC 签名
+     * @returns {Promise<Object>} 导出包对象
+     */
+    static async create(records, options = {}) {
+        const { passphrase = null, signingKey = null } = options;
+        const firstDescriptor = records.find(r => r.descriptors && r.descriptors.length > 0)?.descriptors[0];
+
+        const header = {
+            formatVersion: BUNDLE_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            descriptorModel: options.descriptorModel || BUNDLE_DESCRIPTOR_MODEL,
+            descriptorLength: firstDescriptor ? firstDescriptor.length : 0,
+            recordCount: records.length,
+            encryption: null,
+            signed: !!signingKey
+        };
+
+        let payload = JSON.stringify(records);
+
+        if (passphrase) {
+            const salt = FaceCrypto.randomBytes(CRYPTO_DEFAULTS.saltLength);
+            const iterations = CRYPTO_DEFAULTS.iterations;
+            const key = await FaceCrypto.deriveKey(passphrase, salt, iterations);
+            const { iv, data } = await FaceCrypto.encrypt(key, new TextEncoder().encode(payload));
+
+            header.encryption = {
+                cipher: CRYPTO_DEFAULTS.cipher,
+                kdf: CRYPTO_DEFAULTS.kdf,
+                salt: FaceCrypto.toBase64(salt),
+                iv: FaceCrypto.toBase64(iv),
+                iterations
+            };
+            payload = FaceCrypto.toBase64(data);
+        }
+
+        const signedContent = FaceBundle._signedContent(header, payload);
+
+        return {
+            format: BUNDLE_FORMAT,
+            header,
+            payload,
+            checksum: await FaceCrypto.sha256Hex(signedContent),
+            signature: signingKey ? await FaceCrypto.hmacHex(signingKey, signedContent) : null
+        };
+    }
+
+    /**
+     * 校验并打开导出包
+     * @param {Object} bundle - 解析后的导出包
+     * @param {Object} options
+     * @param {string} [options.passphrase] - 加密包的口令
+     * @param {string} [options.signingKey] - 校验签名的密钥
+     * @param {boolean} [options.requireSignature] - 拒绝未签名的包
+     * @returns {Promise<{ header: Object, records: Array }>}
+     */
+    static async open(bundle, options = {}) {
+        const { passphrase = null, signingKey = null, requireSignature = false } = options;
+
+        if (!FaceBundle.isBundle(bundle) || !bundle.header || typeof bundle.payload !== 'string') {
+            throw FaceBundle._error('INVALID_BUNDLE', 'Invalid bundle: missing header or payload');
+        }
+
+        const { header, payload } = bundle;
+        if (header.formatVersion > BUNDLE_FORMAT_VERSION) {
+            throw FaceBundle._error('UNSUPPORTED_VERSION',
+                `Bundle format v${header.formatVersion} is newer than supported v${BUNDLE_FORMAT_VERSION}`);
+        }
+
+        // 1. 校验和
+        const signedContent = FaceBundle._signedContent(header, payload);
+        const checksum = await FaceCrypto.sha256Hex(signedContent);
+        if (!FaceCrypto.safeEqual(checksum, bundle.checksum)) {
+            throw FaceBundle._error('CHECKSUM_MISMATCH', 'Bundle checksum mismatch: file is corrupted or has been modified');
+        }
+
+        // 2. 签名
+        if (header.signed || bundle.signature) {
+            if (!signingKey) {
+                throw FaceBundle._error('SIGNING_KEY_REQUIRED', 'Bundle is signed: a signing key is required to verify it');
+            }
+            const expected = await FaceCrypto.hmacHex(signingKey, signedContent);
+            if (!FaceCrypto.safeEqual(expected, bundle.signature)) {
+                throw FaceBundle._error('SIGNATURE_INVALID', 'Bundle signature is invalid: wrong signing key or tampered file');
+            }
+        } else if (requireSignature || signingKey) {
+            throw FaceBundle._error('SIGNATURE_MISSING', 'Bundle is not signed');
+        }
+
+        // 3. 解密
+        let json = payload;
+        if (header.encryption) {
+            if (!passphrase) {
+                throw FaceBundle._error('PASSPHRASE_REQUIRED', 'Bundle is encrypted: a passphrase is required');
+            }
+
+            const enc = header.encryption;
+            if (!Number.isInteger(enc.iterations) || enc.iterations < 1 || enc.iterations > BUNDLE_MAX_ITERATIONS) {
+                throw FaceBundle._error('INVALID_BUNDLE',
+                    `Invalid bundle: PBKDF2 iterations must be between 1 and ${BUNDLE_MAX_ITERATIONS}`);
+            }
+            const key = await FaceCrypto.deriveKey(passphrase, FaceCrypto.fromBase64(enc.salt), enc.iterations);
+            let plaintext;
+            try {
+                plaintext = await FaceCrypto.decrypt(key, FaceCrypto.fromBase64(enc.iv), FaceCrypto.fromBase64(payload));
+            } catch (error) {
+                throw FaceBundle._error('BAD_PASSPHRASE', 'Failed to decrypt bundle: wrong passphrase');
+            }
+            json = new TextDecoder().decode(plaintext);
+        }
+
+        // 4. 解析记录
+        let records;
+        try {
+            records = JSON.parse(json);
+        } catch (error) {
+            throw FaceBundle._error('INVALID_BUNDLE', `Invalid bundle payload: ${error.message}`);
+        }
+        if (!Array.isArray(records)) {
+            throw FaceBundle._error('INVALID_BUNDLE', 'Invalid bundle payload: expected array');
+        }
+        if (records.length !== header.recordCount) {
+            throw FaceBundle._error('INVALID_BUNDLE',
+                `Record count mismatch: header says ${header.recordCount}, payload has ${records.length}`);
+        }
+
+        return { header, records };
+    }
+
+    /**
+     * 签名 / 校验和覆盖的内容
+     */
+    static _signedContent(header, payload) {
+        return JSON.stringify(header) + '.' + payload;
+    }
+
+    static _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FaceBundle, BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION };
+}
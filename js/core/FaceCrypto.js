@@ -0,0 +1,197 @@
+/**
+ * FaceCrypto.js
+ * ---------------
+ * WebCrypto 封装 - 用于人脸特征数据的加密
+ *
+ * 功能：
+ * - PBKDF2 从口令派生 AES-GCM 密钥
+ * - AES-GCM 加密 / 解密二进制数据
+ * - SHA-256 摘要、HMAC-SHA256 签名
+ * - 特征向量数组与二进制之间的打包 / 解包
+ */
+
+const CRYPTO_DEFAULTS = {
+    kdf: 'PBKDF2-SHA256',
+    cipher: 'AES-GCM',
+    iterations: 250000,     // PBKDF2 迭代次数
+    saltLength: 16,         // 盐长度（字节）
+    ivLength: 12            // AES-GCM IV 长度（字节）
+};
+
+class FaceCrypto {
+    /**
+     * 检查当前环境是否支持 WebCrypto（需要 https 或 localhost）
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * 生成随机字节
+     */
+    static randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * 从口令派生 AES-GCM 密钥
+     * @param {string} passphrase - 口令
+     * @param {Uint8Array} salt - 盐
+     * @param {number} iterations - PBKDF2 迭代次数
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations = CRYPTO_DEFAULTS.iterations) {
+        if (!passphrase) {
+            throw new Error('Passphrase is required');
+        }
+
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * AES-GCM 加密
+     * @param {CryptoKey} key
+     * @param {ArrayBuffer|Uint8Array} plaintext
+     * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+     */
+    static async encrypt(key, plaintext) {
+        const iv = FaceCrypto.randomBytes(CRYPTO_DEFAULTS.ivLength);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return { iv, data };
+    }
+
+    /**
+     * AES-GCM 解密（密钥错误或数据被篡改时抛出错误）
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async decrypt(key, iv, data) {
+        try {
+            return await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        } catch (error) {
+            throw new Error('Decryption failed: wrong passphrase or corrupted data');
+        }
+    }
+
+    // ========== 摘要与签名 ==========
+
+    /**
+     * SHA-256 摘要（十六进制字符串）
+     */
+    static async sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return FaceCrypto.toHex(digest);
+    }
+
+    /**
+     * HMAC-SHA256 签名（十六进制字符串）
+     * @param {string} secret - 共享签名密钥
+     * @param {string} text - 待签名内容
+     */
+    static async hmacHex(secret, text) {
+        if (!secret) {
+            throw new Error('Signing key is required');
+        }
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+        return FaceCrypto.toHex(signature);
+    }
+
+    /**
+     * 常量时间比较两个十六进制字符串
+     */
+    static safeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+            return false;
+        }
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    // ========== 编码 ==========
+
+    static toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // ========== 特征向量打包 ==========
+
+    /**
+     * 将多个特征向量打包为一个连续的 Float32Array
+     * @param {Array<ArrayLike<number>>} vectors - 等长的特征向量
+     * @returns {{ buffer: ArrayBuffer, count: number, dim: number }}
+     */
+    static packVectors(vectors) {
+        const count = vectors.length;
+        const dim = count > 0 ? vectors[0].length : 0;
+        const packed = new Float32Array(count * dim);
+
+        vectors.forEach((vec, i) => {
+            if (vec.length !== dim) {
+                throw new Error(`Descriptor length mismatch at index ${i}: ${vec.length} != ${dim}`);
+            }
+            packed.set(vec, i * dim);
+        });
+
+        return { buffer: packed.buffer, count, dim };
+    }
+
+    /**
+     * 将 packVectors 的结果还原为 Float32Array 数组
+     */
+    static unpackVectors(buffer, count, dim) {
+        const packed = new Float32Array(buffer);
+        const vectors = [];
+        for (let i = 0; i < count; i++) {
+            vectors.push(packed.slice(i * dim, (i + 1) * dim));
+        }
+        return vectors;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FaceCrypto, CRYPTO_DEFAULTS };
+}
@@ -4,46 +4,94 @@
  * 人脸匹配器 - 用于 1:N 人脸验证
  * 
  * 功能：
- * - 加载已注册的用户数据
+ * - 加载已注册的用户数据（依赖 DescriptorValidator.js 校验数据）
+ * - 可选的距离度量：欧氏 / 平方欧氏 / 归一化欧氏 / 余弦（依赖 DistanceMetrics.js）
  * - 实时比对人脸特征
  * - 返回最佳匹配结果
+ * - 可选的近似最近邻索引（依赖 LSHIndex.js），用于大规模用户库
+ * - 增量添加 / 更新 / 删除用户，无需重建索引
+ * - 可选的个人匹配阈值（注册时由 FaceRegistrationManager 根据采集特征的离散程度计算）
+ * - 可选的置信度校准（依赖 ScoreCalibration.js）：返回校准后的概率和当前阈值下的估计误识率
  */
 
 // 匹配结果状态
 const MatchResult = {
     MATCHED: 'matched',
     NO_MATCH: 'no_match',
+    AMBIGUOUS: 'ambiguous',     // 最佳和次佳用户距离过于接近（长相相似的人）
     UNKNOWN: 'unknown'
 };
 
+// 开集拒识模式
+const AmbiguityMode = {
+    OFF: 'off',
+    MARGIN: 'margin',   // 次佳距离 - 最佳距离 < ambiguityMargin
+    RATIO: 'ratio'      // 最佳距离 / 次佳距离 > ambiguityRatio
+};
+
 class FaceMatcher {
     constructor(config = {}) {
+        // 距离度量（见 DistanceMetric），默认阈值以欧氏距离给出，换算到所选度量
+        const metric = DistanceMetrics.assertValid(config.distanceMetric || DistanceMetric.EUCLIDEAN);
+        const fromEuclidean = (distance) => DistanceMetrics.fromEuclidean(distance, metric);
+
         this.config = {
+            distanceMetric: metric,
+
             // 匹配阈值：距离小于此值认为是同一人
-            matchThreshold: config.matchThreshold || 0.6,
+            matchThreshold: config.matchThreshold || fromEuclidean(0.6),
 
             // 高置信度阈值：距离小于此值认为是高置信度匹配
-            highConfidenceThreshold: config.highConfidenceThreshold || 0.4,
+            highConfidenceThreshold: config.highConfidenceThreshold || fromEuclidean(0.4),
+
+            // 个人阈值：用户记录带有 matchThreshold 时用它代替全局阈值，并限制在 [min, max] 内
+            adaptiveThresholds: config.adaptiveThresholds === true,
+            adaptiveThresholdMin: config.adaptiveThresholdMin || fromEuclidean(0.4),
+            adaptiveThresholdMax: config.adaptiveThresholdMax || fromEuclidean(0.65),
 
             // 是否使用平均特征向量（通常更准确）
             useMeanDescriptor: config.useMeanDescriptor !== false,
 
+            // 特征向量维度（null = 从已加载的识别模型推断，见 DescriptorValidator）
+            expectedDescriptorLength: config.expectedDescriptorLength || null,
+
+            // 开集拒识：最佳和次佳用户的距离差距不足时返回 AMBIGUOUS（见 AmbiguityMode，按等效欧氏距离比较）
+            ambiguityMode: config.ambiguityMode || AmbiguityMode.OFF,
+            ambiguityMargin: config.ambiguityMargin || 0.05,
+            ambiguityRatio: config.ambiguityRatio || 0.9,
+
+            // 是否在控制台输出每次匹配的调试信息
+            logMatches: config.logMatches !== false,
+
+            // 近似最近邻索引（LSHIndex.js）：只对候选行计算距离，速度更快但可能漏掉少量最近邻
+            annIndex: config.annIndex === true,
+
+            // 特征向量少于此数量时始终使用精确搜索
+            annMinDescriptors: config.annMinDescriptors || 5000,
+
+            // LSH 参数 { tables, bits, probeRadius, seed }，见 LSH_DEFAULTS
+            annParams: config.annParams || {},
+
             ...config
         };
 
         // 已注册的用户数据
         this.registeredUsers = [];
 
-        // 扁平化的特征向量数组（用于快速匹配）
-        this.descriptors = [];
-        this.descriptorToUser = []; // 每个 descriptor 对应的用户索引
+        // 扁平化的特征矩阵（用于快速匹配）：第 i 行为 matrix[i * dim, (i + 1) * dim)
+        this._resetIndex();
 
-        // 统计信息
-        this.stats = {
-            totalMatches: 0,
-            successfulMatches: 0,
-            lastMatchTime: 0
-        };
+        // 最近一次加载时被跳过的记录及原因
+        this.validationErrors = [];
+
+        // 置信度校准（ScoreCalibrator，null = 未校准）
+        this.calibration = null;
+
+        // 回调
+        this.onChange = null;   // ({ type: 'load'|'add'|'update'|'remove'|'clear', userId, userCount }) => void
+
+        // 统计信息（lastCandidateCount：近似索引最近一次查询的候选行数）
+        this.resetStats();
     }
 
     // ========== 数据加载 ==========
@@ -53,15 +101,26 @@ class FaceMatcher {
      */
     async loadFromStorage(storage) {
         try {
+            // 加密的数据库需要先 unlock
+            if (storage.isLocked && storage.isLocked()) {
+                return { success: false, locked: true, error: 'Face database is locked' };
+            }
+
             const users = await storage.getAllUsers();
-            this._processUsers(users.map(u => ({
+            const validation = this._processUsers(users.map(u => ({
                 id: u.userId,
                 name: u.name,
                 descriptors: u.descriptors,
-                meanDescriptor: u.meanDescriptor
-            })));
+                meanDescriptor: u.meanDescriptor,
+                matchThreshold: u.matchThreshold,
+                thresholdMetric: u.thresholdMetric
+            })), { buildAnnIndex: false });
+            await this._loadAnnIndex(storage);
+            if (storage.loadCalibration) {
+                this.setCalibration(await storage.loadCalibration());
+            }
             console.log(`FaceMatcher: Loaded ${this.registeredUsers.length} users from storage`);
-            return { success: true, count: this.registeredUsers.length };
+            return { success: true, count: this.registeredUsers.length, ...validation };
         } catch (error) {
             console.error('FaceMatcher: Failed to load from storage', error);
             return { success: false, error: error.message };
@@ -79,9 +138,9 @@ class FaceMatcher {
                 throw new Error('Invalid format: expected array');
             }
 
-            this._processUsers(data);
+            const validation = this._processUsers(data);
             console.log(`FaceMatcher: Loaded ${this.registeredUsers.length} users from JSON`);
-            return { success: true, count: this.registeredUsers.length };
+            return { success: true, count: this.registeredUsers.length, ...validation };
         } catch (error) {
             console.error('FaceMatcher: Failed to load from JSON', error);
             return { success: false, error: error.message };
@@ -89,18 +148,86 @@ class FaceMatcher {
     }
 
     /**
-     * 从文件加载用户数据
+     * 从文件加载用户数据（支持旧格式 JSON 数组、FaceBundle 导出包和 .fdb 二进制格式）
+     * @param {File} file
+     * @param {Object} bundleOptions - 导出包的 passphrase / signingKey / requireSignature
+     *                                  （要求签名或提供了签名密钥时拒绝没有签名的 .fdb 和旧格式 JSON）
      */
-    async loadFromFile(file) {
-        return new Promise((resolve, reject) => {
+    async loadFromFile(file, bundleOptions = {}) {
+        const buffer = await new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                const result = this.loadFromJSON(e.target.result);
-                resolve(result);
-            };
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+            reader.readAsArrayBuffer(file);
         });
+
+        const signatureRequired = !!(bundleOptions.requireSignature || bundleOptions.signingKey);
+
+        if (typeof DescriptorCodec !== 'undefined' && DescriptorCodec.isBinary(buffer)) {
+            if (signatureRequired) {
+                return { success: false, error: 'Unsigned binary file rejected: a signed bundle is required' };
+            }
+            return this.loadFromBinary(buffer);
+        }
+
+        const text = new TextDecoder().decode(buffer);
+
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // 交给 loadFromJSON 统一报告解析错误
+        }
+
+        if (typeof FaceBundle !== 'undefined' && FaceBundle.isBundle(data)) {
+            return this.loadFromBundle(data, bundleOptions);
+        }
+        if (signatureRequired) {
+            return { success: false, error: 'Unsigned legacy file rejected: a signed bundle is required' };
+        }
+
+        return this.loadFromJSON(text);
+    }
+
+    /**
+     * 从 .fdb 二进制数据加载用户数据（见 DescriptorCodec.js）
+     * @param {ArrayBuffer} buffer
+     */
+    loadFromBinary(buffer) {
+        try {
+            if (typeof DescriptorCodec === 'undefined') {
+                throw new Error('DescriptorCodec.js is not loaded');
+            }
+
+            const { records, precision } = DescriptorCodec.decode(buffer);
+            const validation = this._processUsers(records);
+            console.log(`FaceMatcher: Loaded ${this.registeredUsers.length} users from binary (${precision})`);
+            return { success: true, count: this.registeredUsers.length, ...validation };
+        } catch (error) {
+            console.error('FaceMatcher: Failed to load binary', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 从导出包加载用户数据（先校验校验和 / 签名，再解密）
+     * @param {Object} bundle - 解析后的导出包
+     * @param {Object} options - passphrase / signingKey / requireSignature
+     */
+    async loadFromBundle(bundle, options = {}) {
+        try {
+            if (typeof FaceBundle === 'undefined') {
+                throw new Error('FaceBundle.js is not loaded');
+            }
+
+            const { records } = await FaceBundle.open(bundle, options);
+            const validation = this._processUsers(records);
+            console.log(`FaceMatcher: Loaded ${this.registeredUsers.length} users from bundle`);
+            return { success: true, count: this.registeredUsers.length, ...validation };
+        } catch (error) {
+            console.error('FaceMatcher: Failed to load bundle', error);
+            return { success: false, error: error.message, code: error.code };
+        }
     }
 
     /**
@@ -113,9 +240,9 @@ class FaceMatcher {
                 throw new Error('Invalid format: expected array');
             }
 
-            this._processUsers(usersArray);
+            const validation = this._processUsers(usersArray);
             console.log(`FaceMatcher: Loaded ${this.registeredUsers.length} users from data`);
-            return { success: true, count: this.registeredUsers.length };
+            return { success: true, count: this.registeredUsers.length, ...validation };
         } catch (error) {
             console.error('FaceMatcher: Failed to load from data', error);
             return { success: false, error: error.message };
@@ -124,49 +251,420 @@ class FaceMatcher {
 
     /**
      * 处理用户数据，构建匹配索引
+     * 无效记录（维度错误、非有限值、范数异常、重复 id 等）会被跳过
+     * @param {Object} options
+     * @param {boolean} [options.buildAnnIndex] - 是否立即构建近似索引（loadFromStorage 会先尝试恢复已保存的索引）
+     * @returns {Object} { skipped: 跳过的记录数, errors: 逐条错误 }
      */
-    _processUsers(users) {
+    _processUsers(users, options = {}) {
+        const { buildAnnIndex = true } = options;
         this.registeredUsers = [];
-        this.descriptors = [];
-        this.descriptorToUser = [];
-
-        users.forEach((user, userIndex) => {
-            // 验证用户数据
-            if (!user.id || !user.descriptors || !Array.isArray(user.descriptors)) {
-                console.warn(`FaceMatcher: Skipping invalid user at index ${userIndex}`);
-                return;
-            }
+        const rows = [];
+        const rowUsers = [];
 
+        // 验证用户数据
+        const validator = new DescriptorValidator({ expectedLength: this.config.expectedDescriptorLength });
+        const { valid, errors, invalidIndexes } = validator.validateUsers(users);
+        this.validationErrors = errors;
+
+        if (errors.length > 0) {
+            console.warn(`FaceMatcher: Skipping ${invalidIndexes.size} invalid users\n${DescriptorValidator.formatErrors(errors)}`);
+        }
+
+        valid.forEach(user => {
             // 存储用户信息
-            this.registeredUsers.push({
-                id: user.id,
-                name: user.name || user.id,
-                descriptorCount: user.descriptors.length,
-                hasMeanDescriptor: !!user.meanDescriptor
-            });
+            this.registeredUsers.push(this._userInfo(user));
 
             const currentUserIndex = this.registeredUsers.length - 1;
+            this._matchRows(user).forEach(desc => {
+                rows.push(desc);
+                rowUsers.push(currentUserIndex);
+            });
+        });
 
-            // 如果有平均特征向量且配置启用，优先使用
-            if (this.config.useMeanDescriptor && user.meanDescriptor) {
-                const desc = user.meanDescriptor instanceof Float32Array
-                    ? user.meanDescriptor
-                    : new Float32Array(user.meanDescriptor);
-                this.descriptors.push(desc);
-                this.descriptorToUser.push(currentUserIndex);
-            } else {
-                // 使用所有特征向量
-                user.descriptors.forEach(desc => {
-                    const floatDesc = desc instanceof Float32Array
-                        ? desc
-                        : new Float32Array(desc);
-                    this.descriptors.push(floatDesc);
-                    this.descriptorToUser.push(currentUserIndex);
-                });
+        this._buildMatrix(rows, rowUsers);
+        if (buildAnnIndex) {
+            this._buildAnnIndex();
+        }
+
+        console.log(`FaceMatcher: Indexed ${this.descriptorCount} descriptors from ${this.registeredUsers.length} users`);
+        this._emitChange('load');
+        return { skipped: invalidIndexes.size, errors };
+    }
+
+    _userInfo(user) {
+        return {
+            id: user.id,
+            name: user.name || user.id,
+            descriptorCount: user.descriptors.length,
+            hasMeanDescriptor: !!user.meanDescriptor,
+            matchThreshold: typeof user.matchThreshold === 'number' ? user.matchThreshold : null,
+            thresholdMetric: user.thresholdMetric || DistanceMetric.EUCLIDEAN
+        };
+    }
+
+    /**
+     * 参与匹配的特征向量：有平均特征向量且配置启用时只用平均值，否则使用所有特征向量
+     */
+    _matchRows(user) {
+        if (this.config.useMeanDescriptor && user.meanDescriptor) {
+            return [user.meanDescriptor];
+        }
+        return user.descriptors;
+    }
+
+    /**
+     * 将特征向量复制到连续矩阵，并预计算每行范数
+     * @param {Array<ArrayLike<number>>} rows - 特征向量
+     * @param {Array<number>} rowUsers - 每行对应的用户索引
+     */
+    _buildMatrix(rows, rowUsers) {
+        const dim = rows.length > 0 ? rows[0].length : 0;
+
+        this.dim = dim;
+        this.descriptorCount = rows.length;
+        this.deadRows = 0;
+        this.matrix = new Float32Array(rows.length * dim);
+        this.norms = new Float32Array(rows.length);
+        this.descriptorToUser = Int32Array.from(rowUsers);
+
+        rows.forEach((row, i) => {
+            const vector = this._prepareVector(row);
+            this.matrix.set(vector, i * dim);
+            this.norms[i] = this._norm(vector);
+        });
+    }
+
+    /**
+     * 归一化度量（余弦 / 归一化欧氏）在单位向量上计算，矩阵和查询都先归一化
+     */
+    _prepareVector(vector) {
+        return DistanceMetrics.usesNormalizedVectors(this.config.distanceMetric)
+            ? DistanceMetrics.normalize(vector)
+            : vector;
+    }
+
+    _resetIndex() {
+        this.dim = 0;
+        this.descriptorCount = 0;                  // 已使用的行数（含已删除的行）
+        this.deadRows = 0;                         // 已删除、等待压缩的行数
+        this.matrix = new Float32Array(0);
+        this.norms = new Float32Array(0);          // 每行的 L2 范数（用于距离下界剪枝，已删除的行为 Infinity）
+        this.descriptorToUser = new Int32Array(0); // 每行对应的用户索引（已删除的行为 -1）
+        this.lsh = null;                           // 近似最近邻索引（null = 精确搜索）
+    }
+
+    // ========== 增量更新 ==========
+
+    /**
+     * 添加用户：只追加新行，不重建索引，不重置统计
+     * @param {Object} user - { id, name, descriptors, meanDescriptor }
+     * @returns {Object} { success, count, error, errors }
+     */
+    addUser(user) {
+        const errors = this._validateUser(user);
+        if (errors.length > 0) {
+            return this._changeRejected(errors);
+        }
+
+        this.registeredUsers.push(this._userInfo(user));
+        this._appendRows(this._matchRows(user), this.registeredUsers.length - 1);
+
+        this._emitChange('add', user.id);
+        return { success: true, count: this.registeredUsers.length };
+    }
+
+    /**
+     * 更新用户（按 id）：删除旧行并追加新行，用户在列表中的位置不变
+     */
+    updateUser(user) {
+        const userIndex = this._findUserIndex(user && user.id);
+        if (userIndex < 0) {
+            return { success: false, error: `User not found: ${user && user.id}` };
+        }
+
+        const errors = this._validateUser(user, user.id);
+        if (errors.length > 0) {
+            return this._changeRejected(errors);
+        }
+
+        this._removeRows(userIndex);
+        this.registeredUsers[userIndex] = this._userInfo(user);
+        this._appendRows(this._matchRows(user), userIndex);
+        this._compactIfNeeded();
+
+        this._emitChange('update', user.id);
+        return { success: true, count: this.registeredUsers.length };
+    }
+
+    /**
+     * 删除用户
+     */
+    removeUser(userId) {
+        const userIndex = this._findUserIndex(userId);
+        if (userIndex < 0) {
+            return { success: false, error: `User not found: ${userId}` };
+        }
+
+        this._removeRows(userIndex);
+        this.registeredUsers.splice(userIndex, 1);
+
+        // 后面用户的索引前移
+        for (let row = 0; row < this.descriptorCount; row++) {
+            if (this.descriptorToUser[row] > userIndex) {
+                this.descriptorToUser[row]--;
+            }
+        }
+        this._compactIfNeeded();
+
+        this._emitChange('remove', userId);
+        return { success: true, count: this.registeredUsers.length };
+    }
+
+    _findUserIndex(userId) {
+        return this.registeredUsers.findIndex(u => u.id === userId);
+    }
+
+    /**
+     * 校验单个用户（维度必须与已有索引一致）
+     * @param {string} replacingId - 正在更新的用户 id，不算重复
+     */
+    _validateUser(user, replacingId) {
+        const validator = new DescriptorValidator({
+            expectedLength: this.dim || this.config.expectedDescriptorLength
+        });
+        const seenIds = new Set(this.registeredUsers.map(u => u.id).filter(id => id !== replacingId));
+        return validator.validateUser(user, seenIds);
+    }
+
+    _changeRejected(errors) {
+        return {
+            success: false,
+            error: errors.map(e => (e.field ? `${e.field}: ` : '') + e.message).join('; '),
+            errors
+        };
+    }
+
+    _emitChange(type, userId = null) {
+        if (this.onChange) {
+            this.onChange({ type, userId, userCount: this.registeredUsers.length });
+        }
+    }
+
+    /**
+     * 追加行（容量不足时按倍数扩容），并同步到近似索引
+     */
+    _appendRows(vectors, userIndex) {
+        if (vectors.length === 0) return;
+        if (this.dim === 0) {
+            this.dim = vectors[0].length;
+        }
+
+        const dim = this.dim;
+        this._ensureCapacity(this.descriptorCount + vectors.length);
+
+        vectors.forEach(descriptor => {
+            const row = this.descriptorCount++;
+            const vector = this._prepareVector(descriptor);
+            this.matrix.set(vector, row * dim);
+            this.norms[row] = this._norm(vector);
+            this.descriptorToUser[row] = userIndex;
+
+            if (this.lsh) {
+                this.lsh.add(this.matrix.subarray(row * dim, (row + 1) * dim), row);
             }
         });
 
-        console.log(`FaceMatcher: Indexed ${this.descriptors.length} descriptors from ${this.registeredUsers.length} users`);
+        // 用户库增长到阈值以上时启用近似索引
+        if (!this.lsh && this._shouldUseAnn()) {
+            this._buildAnnIndex();
+        }
+    }
+
+    /**
+     * 将用户的行标记为已删除：范数设为 Infinity，搜索时被范数下界直接跳过
+     */
+    _removeRows(userIndex) {
+        for (let row = 0; row < this.descriptorCount; row++) {
+            if (this.descriptorToUser[row] !== userIndex) continue;
+
+            this.descriptorToUser[row] = -1;
+            this.norms[row] = Infinity;
+            this.deadRows++;
+
+            if (this.lsh) {
+                this.lsh.remove(row);
+            }
+        }
+    }
+
+    _ensureCapacity(rows) {
+        const capacity = this.norms.length;
+        if (rows <= capacity) return;
+
+        const newCapacity = Math.max(rows, capacity * 2, 16);
+        const used = this.descriptorCount;
+
+        const matrix = new Float32Array(newCapacity * this.dim);
+        matrix.set(this.matrix.subarray(0, used * this.dim));
+        const norms = new Float32Array(newCapacity);
+        norms.set(this.norms.subarray(0, used));
+        const descriptorToUser = new Int32Array(newCapacity);
+        descriptorToUser.set(this.descriptorToUser.subarray(0, used));
+
+        this.matrix = matrix;
+        this.norms = norms;
+        this.descriptorToUser = descriptorToUser;
+    }
+
+    /**
+     * 已删除的行超过 1/4 时压缩
+     */
+    _compactIfNeeded() {
+        if (this.deadRows > 0 && this.deadRows * 4 >= this.descriptorCount) {
+            this._compact();
+        }
+    }
+
+    /**
+     * 原地移除已删除的行（新行号总是不大于旧行号）
+     */
+    _compact() {
+        const dim = this.dim;
+        const keep = [];
+
+        for (let row = 0; row < this.descriptorCount; row++) {
+            if (this.descriptorToUser[row] < 0) continue;
+
+            const newRow = keep.length;
+            if (newRow !== row) {
+                this.matrix.copyWithin(newRow * dim, row * dim, (row + 1) * dim);
+                this.norms[newRow] = this.norms[row];
+                this.descriptorToUser[newRow] = this.descriptorToUser[row];
+            }
+            keep.push(row);
+        }
+
+        this.descriptorCount = keep.length;
+        this.deadRows = 0;
+
+        if (this.lsh) {
+            this.lsh.compact(keep);
+        }
+    }
+
+    // ========== 近似最近邻索引 ==========
+
+    /**
+     * 是否启用近似索引：需要开启 annIndex、加载 LSHIndex.js，且用户库足够大
+     */
+    _shouldUseAnn() {
+        const liveRows = this.descriptorCount - this.deadRows;
+        return this.config.annIndex
+            && typeof LSHIndex !== 'undefined'
+            && liveRows > 0
+            && liveRows >= this.config.annMinDescriptors;
+    }
+
+    _buildAnnIndex() {
+        this.lsh = null;
+        if (!this._shouldUseAnn()) return false;
+
+        if (this.deadRows > 0) {
+            this._compact();
+        }
+
+        const startTime = performance.now();
+        this.lsh = new LSHIndex(this.config.annParams).build(this.matrix, this.descriptorCount, this.dim);
+        console.log(`FaceMatcher: Built LSH index for ${this.descriptorCount} descriptors in ${(performance.now() - startTime).toFixed(0)}ms`);
+        return true;
+    }
+
+    /**
+     * 从 FaceStorage 恢复已保存的索引
+     * 用户库已变化（指纹不同）或参数不同时重新构建，并保存供下次使用
+     */
+    async _loadAnnIndex(storage) {
+        this.lsh = null;
+        if (!this._shouldUseAnn()) return;
+
+        const fingerprint = this.getGalleryFingerprint();
+        const params = { ...LSH_DEFAULTS, ...this.config.annParams };
+
+        if (storage.loadSearchIndex) {
+            try {
+                const saved = await storage.loadSearchIndex('lsh');
+                const index = saved && saved.fingerprint === fingerprint ? LSHIndex.deserialize(saved.index) : null;
+
+                if (index && index.hasConfig(params)) {
+                    this.lsh = index;
+                    console.log('FaceMatcher: Restored LSH index from storage');
+                    return;
+                }
+            } catch (error) {
+                console.warn('FaceMatcher: Failed to restore LSH index, rebuilding', error);
+            }
+        }
+
+        this._buildAnnIndex();
+
+        if (storage.saveSearchIndex) {
+            try {
+                await storage.saveSearchIndex('lsh', { fingerprint, index: this.lsh.serialize() });
+            } catch (error) {
+                console.warn('FaceMatcher: Failed to save LSH index', error);
+            }
+        }
+    }
+
+    /**
+     * 用户库指纹（FNV-1a，覆盖特征矩阵的每一位），用于判断已保存的索引是否过期
+     */
+    getGalleryFingerprint() {
+        const words = new Uint32Array(this.matrix.buffer, this.matrix.byteOffset, this.descriptorCount * this.dim);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < words.length; i++) {
+            hash ^= words[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return `${this.descriptorCount}x${this.dim}:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    // ========== 置信度校准 ==========
+
+    /**
+     * 设置置信度校准
+     * @param {ScoreCalibrator|Object|null} calibration - ScoreCalibrator 或其 toJSON() 结果（null = 清除）
+     * @returns {boolean} 是否已应用（距离度量或 useMeanDescriptor 与校准时不同则不应用）
+     */
+    setCalibration(calibration) {
+        if (calibration && !(calibration instanceof ScoreCalibrator)) {
+            calibration = ScoreCalibrator.fromJSON(calibration);
+        }
+
+        if (calibration && !calibration.isCompatible(this.config)) {
+            console.warn(`FaceMatcher: Ignoring calibration made for ${calibration.distanceMetric}` +
+                `${calibration.useMeanDescriptor ? ' (mean descriptors)' : ''}; recalibrate for the current settings`);
+            calibration = null;
+        }
+
+        this.calibration = calibration || null;
+        return !!this.calibration;
+    }
+
+    /**
+     * 校准后的概率和误识率（未校准时为 null）
+     */
+    _calibrated(distance, threshold) {
+        if (!this.calibration) {
+            return { probability: null, falseAcceptRate: null };
+        }
+        return {
+            probability: this.calibration.probability(distance),
+            falseAcceptRate: this.calibration.falseAcceptRate(threshold)
+        };
     }
 
     // ========== 人脸匹配 ==========
@@ -174,10 +672,10 @@ class FaceMatcher {
     /**
      * 查找最佳匹配
      * @param {Float32Array} queryDescriptor - 待匹配的特征向量
-     * @returns {Object} 匹配结果
+     * @returns {Object} 匹配结果（已校准时包含 probability：同一人的概率，falseAcceptRate：当前阈值下单次比对的估计误识率）
      */
     findBestMatch(queryDescriptor) {
-        if (!queryDescriptor || this.descriptors.length === 0) {
+        if (!this._isValidQuery(queryDescriptor)) {
             return {
                 status: MatchResult.UNKNOWN,
                 user: null,
@@ -187,29 +685,52 @@ class FaceMatcher {
         }
 
         const startTime = performance.now();
+        const query = this._prepareVector(queryDescriptor);
 
-        let bestDistance = Infinity;
-        let bestUserIndex = -1;
+        // 遍历特征矩阵（开启开集拒识时同时找出次佳用户）
+        const checkAmbiguity = this.config.ambiguityMode !== AmbiguityMode.OFF;
+        const nearest = checkAmbiguity
+            ? this._nearestTwoUsers(query)
+            : this._nearestRow(query);
+        const bestDistance = this._fromSquared(nearest.squaredDistance);
+        const bestUserIndex = checkAmbiguity
+            ? nearest.userIndex
+            : (nearest.row >= 0 ? this.descriptorToUser[nearest.row] : -1);
 
-        // 遍历所有已注册的特征向量
-        for (let i = 0; i < this.descriptors.length; i++) {
-            const distance = this._euclideanDistance(queryDescriptor, this.descriptors[i]);
-
-            if (distance < bestDistance) {
-                bestDistance = distance;
-                bestUserIndex = this.descriptorToUser[i];
-            }
-        }
+        const threshold = this._userThreshold(bestUserIndex);
 
         const matchTime = performance.now() - startTime;
         this.stats.lastMatchTime = matchTime;
         this.stats.totalMatches++;
 
         // Debug: 输出匹配信息
-        console.log(`🔍 Match Debug: distance=${bestDistance.toFixed(4)}, threshold=${this.config.matchThreshold}, willMatch=${bestDistance < this.config.matchThreshold}`);
+        if (this.config.logMatches) {
+            console.log(`🔍 Match Debug: distance=${bestDistance.toFixed(4)}, threshold=${threshold.toFixed(4)}, willMatch=${bestDistance < threshold}`);
+        }
 
         // 判断是否匹配
-        if (bestDistance < this.config.matchThreshold && bestUserIndex >= 0) {
+        if (bestDistance < threshold && bestUserIndex >= 0) {
+            if (checkAmbiguity && nearest.runnerUpIndex >= 0) {
+                const runnerUpDistance = this._fromSquared(nearest.runnerUpSquared);
+                if (this._isAmbiguous(bestDistance, runnerUpDistance)) {
+                    this.stats.ambiguousMatches++;
+                    return {
+                        status: MatchResult.AMBIGUOUS,
+                        user: null,
+                        distance: bestDistance,
+                        confidence: 0,
+                        candidates: [
+                            this._candidate(bestUserIndex, bestDistance),
+                            this._candidate(nearest.runnerUpIndex, runnerUpDistance)
+                        ],
+                        margin: runnerUpDistance - bestDistance,
+                        threshold: threshold,
+                        ...this._calibrated(bestDistance, threshold),
+                        matchTime: matchTime
+                    };
+                }
+            }
+
             const user = this.registeredUsers[bestUserIndex];
             const confidence = this._distanceToConfidence(bestDistance);
 
@@ -224,6 +745,8 @@ class FaceMatcher {
                 distance: bestDistance,
                 confidence: confidence,
                 isHighConfidence: bestDistance < this.config.highConfidenceThreshold,
+                threshold: threshold,
+                ...this._calibrated(bestDistance, threshold),
                 matchTime: matchTime
             };
         }
@@ -233,6 +756,8 @@ class FaceMatcher {
             user: null,
             distance: bestDistance,
             confidence: 0,
+            threshold: threshold,
+            ...this._calibrated(bestDistance, threshold),
             matchTime: matchTime
         };
     }
@@ -244,32 +769,26 @@ class FaceMatcher {
      * @returns {Array} 匹配结果数组
      */
     findTopMatches(queryDescriptor, topK = 3) {
-        if (!queryDescriptor || this.descriptors.length === 0) {
+        if (!this._isValidQuery(queryDescriptor)) {
             return [];
         }
 
-        // 计算所有距离
-        const distances = [];
-        const userDistances = new Map(); // 每个用户的最佳距离
-
-        for (let i = 0; i < this.descriptors.length; i++) {
-            const distance = this._euclideanDistance(queryDescriptor, this.descriptors[i]);
-            const userIndex = this.descriptorToUser[i];
-
-            if (!userDistances.has(userIndex) || distance < userDistances.get(userIndex)) {
-                userDistances.set(userIndex, distance);
-            }
-        }
+        // 每个用户的最佳平方距离（同一用户的多行之间也可以提前退出）
+        const userBestSquared = this._userBestSquared(this._prepareVector(queryDescriptor));
 
         // 转换为数组并排序
         const results = [];
-        userDistances.forEach((distance, userIndex) => {
+        userBestSquared.forEach((squared, userIndex) => {
+            if (squared === Infinity) return;
+
+            const distance = this._fromSquared(squared);
             const user = this.registeredUsers[userIndex];
             results.push({
                 user: { id: user.id, name: user.name },
                 distance: distance,
                 confidence: this._distanceToConfidence(distance),
-                isMatch: distance < this.config.matchThreshold
+                probability: this.calibration ? this.calibration.probability(distance) : null,
+                isMatch: distance < this._userThreshold(userIndex)
             });
         });
 
@@ -277,30 +796,231 @@ class FaceMatcher {
         return results.slice(0, topK);
     }
 
-    // ========== 工具方法 ==========
+    /**
+     * 用户的匹配阈值
+     * 启用 adaptiveThresholds 且用户记录带有 matchThreshold 时使用个人阈值（换算到当前度量并限制在全局上下限内），否则使用全局阈值
+     * @param {number} userIndex - registeredUsers 中的索引（-1 = 全局阈值）
+     */
+    _userThreshold(userIndex = -1) {
+        const user = userIndex >= 0 ? this.registeredUsers[userIndex] : null;
+        if (!this.config.adaptiveThresholds || !user || user.matchThreshold === null ||
+            !DistanceMetrics.isValid(user.thresholdMetric)) {
+            return this.config.matchThreshold;
+        }
+
+        const { adaptiveThresholdMin, adaptiveThresholdMax, distanceMetric } = this.config;
+        const threshold = DistanceMetrics.convert(user.matchThreshold, user.thresholdMetric, distanceMetric);
+        return Math.min(adaptiveThresholdMax, Math.max(adaptiveThresholdMin, threshold));
+    }
+
+    // ========== 矩阵搜索 ==========
+
+    _isValidQuery(queryDescriptor) {
+        if (!queryDescriptor || this.descriptorCount - this.deadRows === 0) return false;
+
+        if (queryDescriptor.length !== this.dim) {
+            console.warn(`FaceMatcher: Query has ${queryDescriptor.length} values, index expects ${this.dim}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 扫描最近的行（启用近似索引时只扫描候选行）
+     * 利用 |‖q‖ - ‖x‖|² ≤ ‖q - x‖² 跳过不可能更近的行，并在累加超过当前最佳值时提前退出
+     * @returns {{ row: number, squaredDistance: number }}
+     */
+    _nearestRow(query) {
+        const norms = this.norms;
+        const queryNorm = this._norm(query);
+        const candidates = this._candidateRows(query);
+        const total = candidates ? candidates.length : this.descriptorCount;
+
+        let bestSquared = Infinity;
+        let bestRow = -1;
+
+        for (let i = 0; i < total; i++) {
+            const row = candidates ? candidates[i] : i;
+            const normGap = queryNorm - norms[row];
+            if (normGap * normGap >= bestSquared) continue;
+
+            const squared = this._squaredDistanceTo(query, row, bestSquared);
+            if (squared < bestSquared) {
+                bestSquared = squared;
+                bestRow = row;
+            }
+        }
+
+        return { row: bestRow, squaredDistance: bestSquared };
+    }
+
+    /**
+     * 最近的两个不同用户（一次扫描）
+     * 最佳用户自身的行只需与最佳距离比较，其他用户的行只需与次佳距离比较
+     * @returns {{ userIndex, squaredDistance, runnerUpIndex, runnerUpSquared }}
+     */
+    _nearestTwoUsers(query) {
+        const norms = this.norms;
+        const queryNorm = this._norm(query);
+        const candidates = this._candidateRows(query);
+        const total = candidates ? candidates.length : this.descriptorCount;
+
+        let bestUser = -1;
+        let bestSquared = Infinity;
+        let secondUser = -1;
+        let secondSquared = Infinity;
+
+        for (let i = 0; i < total; i++) {
+            const row = candidates ? candidates[i] : i;
+            const userIndex = this.descriptorToUser[row];
+            if (userIndex < 0) continue;
+
+            const limit = userIndex === bestUser ? bestSquared : secondSquared;
+            const normGap = queryNorm - norms[row];
+            if (normGap * normGap >= limit) continue;
+
+            const squared = this._squaredDistanceTo(query, row, limit);
+            if (squared >= limit) continue;
+
+            if (userIndex === bestUser) {
+                bestSquared = squared;
+            } else if (squared < bestSquared) {
+                secondUser = bestUser;
+                secondSquared = bestSquared;
+                bestUser = userIndex;
+                bestSquared = squared;
+            } else {
+                secondUser = userIndex;
+                secondSquared = squared;
+            }
+        }
+
+        return {
+            userIndex: bestUser,
+            squaredDistance: bestSquared,
+            runnerUpIndex: secondUser,
+            runnerUpSquared: secondSquared
+        };
+    }
+
+    /**
+     * 每个用户的最佳平方距离
+     * @returns {Float64Array} 按用户索引排列
+     */
+    _userBestSquared(query) {
+        const norms = this.norms;
+        const queryNorm = this._norm(query);
+        const userBest = new Float64Array(this.registeredUsers.length).fill(Infinity);
+        const candidates = this._candidateRows(query);
+        const total = candidates ? candidates.length : this.descriptorCount;
+
+        for (let i = 0; i < total; i++) {
+            const row = candidates ? candidates[i] : i;
+            const userIndex = this.descriptorToUser[row];
+            if (userIndex < 0) continue;
+
+            const limit = userBest[userIndex];
+
+            const normGap = queryNorm - norms[row];
+            if (normGap * normGap >= limit) continue;
+
+            const squared = this._squaredDistanceTo(query, row, limit);
+            if (squared < limit) {
+                userBest[userIndex] = squared;
+            }
+        }
+
+        return userBest;
+    }
+
+    /**
+     * 近似索引的候选行（null = 扫描全部行）
+     */
+    _candidateRows(query) {
+        if (!this.lsh) return null;
+
+        const candidates = this.lsh.query(query);
+        this.stats.lastCandidateCount = candidates.length;
+        return candidates;
+    }
 
     /**
-     * 欧几里得距离
+     * 查询向量与矩阵第 row 行的平方距离
+     * 每累加 16 维检查一次，超过 limit 时提前返回（此时返回值 >= limit，但不是精确距离）
      */
-    _euclideanDistance(a, b) {
+    _squaredDistanceTo(query, row, limit = Infinity) {
+        const matrix = this.matrix;
+        const dim = this.dim;
+        const offset = row * dim;
+        let sum = 0;
+        let i = 0;
+
+        while (i < dim) {
+            const end = Math.min(i + 16, dim);
+            for (; i < end; i++) {
+                const diff = query[i] - matrix[offset + i];
+                sum += diff * diff;
+            }
+            if (sum >= limit) return sum;
+        }
+
+        return sum;
+    }
+
+    _norm(vector) {
         let sum = 0;
-        for (let i = 0; i < a.length; i++) {
-            const diff = a[i] - b[i];
-            sum += diff * diff;
+        for (let i = 0; i < vector.length; i++) {
+            sum += vector[i] * vector[i];
         }
         return Math.sqrt(sum);
     }
 
+    // ========== 工具方法 ==========
+
+    /**
+     * 两个特征向量在当前度量下的距离
+     */
+    _distance(a, b) {
+        return DistanceMetrics.distance(a, b, this.config.distanceMetric);
+    }
+
+    /**
+     * 矩阵搜索得到的平方距离 → 当前度量下的距离
+     */
+    _fromSquared(squared) {
+        return DistanceMetrics.fromSquared(squared, this.config.distanceMetric);
+    }
+
+    /**
+     * 最佳与次佳距离是否过于接近（换算为等效欧氏距离后比较，ambiguityMargin 与度量无关）
+     */
+    _isAmbiguous(bestDistance, runnerUpDistance) {
+        const metric = this.config.distanceMetric;
+        bestDistance = DistanceMetrics.toEuclidean(bestDistance, metric);
+        runnerUpDistance = DistanceMetrics.toEuclidean(runnerUpDistance, metric);
+
+        if (this.config.ambiguityMode === AmbiguityMode.RATIO) {
+            return runnerUpDistance > 0 && bestDistance / runnerUpDistance > this.config.ambiguityRatio;
+        }
+        return runnerUpDistance - bestDistance < this.config.ambiguityMargin;
+    }
+
+    _candidate(userIndex, distance) {
+        const user = this.registeredUsers[userIndex];
+        return {
+            user: { id: user.id, name: user.name },
+            distance,
+            confidence: this._distanceToConfidence(distance)
+        };
+    }
+
     /**
      * 将距离转换为置信度百分比
      * 距离越小，置信度越高
-     * 使用固定基准：distance=0 → 100%, distance=0.6 → 50%, distance=1.2 → 0%
+     * 使用固定基准（等效欧氏距离）：distance=0 → 100%, distance=0.6 → 50%, distance=1.2 → 0%
      */
     _distanceToConfidence(distance) {
-        // 使用线性公式，基准值固定不受阈值影响
-        // distance=0 → 100%, distance=0.6 → 50%, distance=1.2 → 0%
-        const confidence = (1 - distance / 1.2) * 100;
-        return Math.min(100, Math.max(0, confidence));
+        return DistanceMetrics.toConfidence(distance, this.config.distanceMetric);
     }
 
     // ========== 状态查询 ==========
@@ -329,13 +1049,34 @@ class FaceMatcher {
         return {
             ...this.stats,
             userCount: this.registeredUsers.length,
-            descriptorCount: this.descriptors.length,
+            descriptorCount: this.descriptorCount - this.deadRows,
+            searchMode: this.lsh ? 'ann' : 'exact',
+            calibration: this._calibrationStats(),
+            ambiguityRate: this.stats.totalMatches > 0
+                ? (this.stats.ambiguousMatches / this.stats.totalMatches * 100).toFixed(1) + '%'
+                : 'N/A',
             matchRate: this.stats.totalMatches > 0
                 ? (this.stats.successfulMatches / this.stats.totalMatches * 100).toFixed(1) + '%'
                 : 'N/A'
         };
     }
 
+    /**
+     * 校准信息：全局阈值下单次比对和整个用户库（1:N）的估计误识率 / 拒识率
+     */
+    _calibrationStats() {
+        if (!this.calibration) return null;
+
+        const threshold = this.config.matchThreshold;
+        return {
+            method: this.calibration.method,
+            createdAt: this.calibration.createdAt,
+            falseAcceptRate: this.calibration.falseAcceptRate(threshold),
+            galleryFalseAcceptRate: this.calibration.galleryFalseAcceptRate(threshold, this.registeredUsers.length),
+            falseRejectRate: this.calibration.falseRejectRate(threshold)
+        };
+    }
+
     /**
      * 检查是否已加载用户数据
      */
@@ -348,17 +1089,27 @@ class FaceMatcher {
      */
     clear() {
         this.registeredUsers = [];
-        this.descriptors = [];
-        this.descriptorToUser = [];
+        this._resetIndex();
+        this.validationErrors = [];
+        this.resetStats();
+        this._emitChange('clear');
+    }
+
+    /**
+     * 重置匹配统计
+     */
+    resetStats() {
         this.stats = {
             totalMatches: 0,
             successfulMatches: 0,
-            lastMatchTime: 0
+            lastMatchTime: 0,
+            lastCandidateCount: 0,
+            ambiguousMatches: 0     // 因最佳 / 次佳距离过近而返回 AMBIGUOUS 的次数
         };
     }
 }
 
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { FaceMatcher, MatchResult };
+    module.exports = { FaceMatcher, MatchResult, AmbiguityMode };
 }
@@ -0,0 +1,41 @@
+/**
+ * FaceMatcherWorker.js
+ * ----------------------
+ * Web Worker 入口 - 在后台线程运行 FaceMatcher（由 AsyncFaceMatcher 创建）
+ *
+ * 消息协议：
+ * - 启动完成：{ type: 'ready' }
+ * - 请求：{ id, method, args }
+ * - 响应：{ id, result } 或 { id, error: { message, code } }
+ */
+
+importScripts(
+    './CoreUtils.js',
+    './DescriptorValidator.js',
+    './DistanceMetrics.js',
+    './FaceCrypto.js',
+    './FaceBundle.js',
+    './DescriptorCodec.js',
+    './LSHIndex.js',
+    './ScoreCalibration.js',
+    './FaceMatcher.js',
+    './AsyncFaceMatcher.js'
+);
+
+const handlers = AsyncFaceMatcher.createHandlers();
+
+self.onmessage = async (event) => {
+    const { id, method, args } = event.data;
+
+    try {
+        if (!handlers[method]) {
+            throw new Error(`Unknown method: ${method}`);
+        }
+        const result = await handlers[method](...args);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: { message: error.message, code: error.code } });
+    }
+};
+
+self.postMessage({ type: 'ready' });
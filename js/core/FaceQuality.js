@@ -0,0 +1,220 @@
+/**
+ * FaceQuality.js
+ * ----------------
+ * 注册采集帧的图像质量评分
+ *
+ * 各项指标（每项换算为 0-1 的分数）：
+ * - size：人脸框面积占画面的比例（minFaceAreaRatio 以下不合格，goodFaceAreaRatio 以上满分）
+ * - sharpness：人脸区域缩放到 sampleSize 后灰度拉普拉斯算子的方差（越大越清晰）
+ * - exposure：人脸区域的平均亮度，以及过曝（≥ 250）/ 欠曝（≤ 5）像素的比例
+ * - eyes：眼睛纵横比（EAR，68 点特征点），闭眼时接近 0
+ * - framing：人脸框到画面边缘的距离，人脸被截断时特征不完整
+ *
+ * 综合分数为各项分数的加权平均（weights），任一项低于其下限或综合分数低于 minScore 时不合格
+ * 缺少画面数据或特征点时对应的指标为 null，不参与评分
+ *
+ * 依赖 CoreUtils.js
+ */
+
+// 不合格原因（按检查顺序）
+const QualityIssue = {
+    FACE_TOO_SMALL: 'face_too_small',
+    FACE_TRUNCATED: 'face_truncated',
+    BLURRY: 'blurry',
+    BAD_EXPOSURE: 'bad_exposure',
+    EYES_CLOSED: 'eyes_closed',
+    LOW_QUALITY: 'low_quality'
+};
+
+const QUALITY_DEFAULTS = {
+    minFaceAreaRatio: 0.05,     // 人脸面积比例下限
+    goodFaceAreaRatio: 0.15,    // 达到此比例时 size 满分
+    minSharpness: 30,           // 拉普拉斯方差下限
+    goodSharpness: 150,         // 达到此值时 sharpness 满分
+    minBrightness: 50,          // 平均亮度范围（0-255），范围内 exposure 不扣分
+    maxBrightness: 210,
+    maxClippedRatio: 0.15,      // 过曝 + 欠曝像素比例上限
+    minEyeAspectRatio: 0.18,    // 两眼平均 EAR 低于此值视为闭眼
+    goodEyeAspectRatio: 0.26,
+    edgeMargin: 0.05,           // 人脸框到画面边缘的距离达到框宽的此比例时 framing 满分（超出画面视为被截断）
+    minScore: 0.5,              // 综合分数下限
+    sampleSize: 96,             // 计算清晰度和曝光时人脸区域的采样尺寸
+    weights: {
+        size: 1,
+        sharpness: 1.5,
+        exposure: 1,
+        eyes: 1,
+        framing: 0.5
+    }
+};
+
+// 68 点特征点中的眼睛轮廓（p1..p6）
+const EYE_LANDMARKS = [
+    [36, 37, 38, 39, 40, 41],
+    [42, 43, 44, 45, 46, 47]
+];
+
+class FaceQuality {
+    /**
+     * 评估一帧的质量
+     * @param {Object} detection - face-api.js 的检测结果（含 detection.box，可选 landmarks）
+     * @param {ImageData} frameData - 当前帧图像数据（可选，缺少时只评估特征点相关指标）
+     * @param {Object} config - 覆盖 QUALITY_DEFAULTS
+     * @returns {Object} { score, passed, issue, components: { size, sharpness, exposure, eyes, framing }, metrics }
+     */
+    static assess(detection, frameData = null, config = {}) {
+        const options = { ...QUALITY_DEFAULTS, ...config, weights: { ...QUALITY_DEFAULTS.weights, ...config.weights } };
+        const box = CoreUtils.detectionBox(detection);
+
+        const metrics = {
+            areaRatio: null,
+            edgeMargin: null,
+            sharpness: null,
+            brightness: null,
+            clippedRatio: null,
+            eyeAspectRatio: FaceQuality.eyeAspectRatio(detection && detection.landmarks)
+        };
+
+        if (box && frameData) {
+            metrics.areaRatio = (box.width * box.height) / (frameData.width * frameData.height);
+            metrics.edgeMargin = Math.min(
+                box.x, box.y,
+                frameData.width - (box.x + box.width),
+                frameData.height - (box.y + box.height)
+            ) / box.width;
+
+            const gray = FaceQuality._sampleGray(frameData, box, options.sampleSize);
+            if (gray) {
+                metrics.sharpness = FaceQuality._laplacianVariance(gray, options.sampleSize);
+                Object.assign(metrics, FaceQuality._exposure(gray));
+            }
+        }
+
+        const components = {
+            size: metrics.areaRatio === null ? null
+                : CoreUtils.ramp(metrics.areaRatio, options.minFaceAreaRatio, options.goodFaceAreaRatio),
+            sharpness: metrics.sharpness === null ? null
+                : CoreUtils.ramp(metrics.sharpness, options.minSharpness, options.goodSharpness),
+            exposure: metrics.brightness === null ? null : FaceQuality._exposureScore(metrics, options),
+            eyes: metrics.eyeAspectRatio === null ? null
+                : CoreUtils.ramp(metrics.eyeAspectRatio, options.minEyeAspectRatio, options.goodEyeAspectRatio),
+            framing: metrics.edgeMargin === null ? null
+                : CoreUtils.ramp(metrics.edgeMargin, 0, options.edgeMargin)
+        };
+
+        let weighted = 0;
+        let totalWeight = 0;
+        Object.entries(components).forEach(([name, value]) => {
+            if (value === null) return;
+            weighted += value * options.weights[name];
+            totalWeight += options.weights[name];
+        });
+        const score = totalWeight > 0 ? weighted / totalWeight : 1;
+
+        const issue = FaceQuality._firstIssue(metrics, score, options);
+        return { score, passed: !issue, issue, components, metrics };
+    }
+
+    /**
+     * 两眼的平均眼睛纵横比 EAR = (|p2-p6| + |p3-p5|) / (2|p1-p4|)
+     * @returns {number|null} 睁眼约 0.25-0.35，闭眼接近 0；特征点不足时返回 null
+     */
+    static eyeAspectRatio(landmarks) {
+        const points = CoreUtils.landmarkPoints(landmarks);
+        if (!points || points.length < 68) return null;
+
+        const ratios = EYE_LANDMARKS.map(eye => {
+            const [p1, p2, p3, p4, p5, p6] = eye.map(i => points[i]);
+            const width = CoreUtils.pointDistance(p1, p4);
+            return width > 0 ? (CoreUtils.pointDistance(p2, p6) + CoreUtils.pointDistance(p3, p5)) / (2 * width) : 0;
+        });
+        return (ratios[0] + ratios[1]) / 2;
+    }
+
+    // ========== 指标计算 ==========
+
+    static _firstIssue(metrics, score, options) {
+        if (metrics.areaRatio !== null && metrics.areaRatio < options.minFaceAreaRatio) return QualityIssue.FACE_TOO_SMALL;
+        if (metrics.edgeMargin !== null && metrics.edgeMargin < 0) return QualityIssue.FACE_TRUNCATED;
+        if (metrics.sharpness !== null && metrics.sharpness < options.minSharpness) return QualityIssue.BLURRY;
+        if (metrics.brightness !== null && (
+            metrics.brightness < options.minBrightness ||
+            metrics.brightness > options.maxBrightness ||
+            metrics.clippedRatio > options.maxClippedRatio
+        )) return QualityIssue.BAD_EXPOSURE;
+        if (metrics.eyeAspectRatio !== null && metrics.eyeAspectRatio < options.minEyeAspectRatio) return QualityIssue.EYES_CLOSED;
+        if (score < options.minScore) return QualityIssue.LOW_QUALITY;
+        return null;
+    }
+
+    /**
+     * 把人脸区域（限制在画面内）最近邻缩放为 size × size 的灰度图
+     */
+    static _sampleGray(frameData, box, size) {
+        const x0 = Math.max(0, Math.floor(box.x));
+        const y0 = Math.max(0, Math.floor(box.y));
+        const x1 = Math.min(frameData.width, Math.ceil(box.x + box.width));
+        const y1 = Math.min(frameData.height, Math.ceil(box.y + box.height));
+        if (x1 - x0 < 2 || y1 - y0 < 2) return null;
+
+        const gray = new Float32Array(size * size);
+        const data = frameData.data;
+        for (let y = 0; y < size; y++) {
+            const sy = y0 + Math.floor((y + 0.5) * (y1 - y0) / size);
+            for (let x = 0; x < size; x++) {
+                const sx = x0 + Math.floor((x + 0.5) * (x1 - x0) / size);
+                const i = (sy * frameData.width + sx) * 4;
+                gray[y * size + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            }
+        }
+        return gray;
+    }
+
+    static _laplacianVariance(gray, size) {
+        let sum = 0;
+        let sumSq = 0;
+        let count = 0;
+
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const i = y * size + x;
+                const lap = gray[i - size] + gray[i + size] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += lap;
+                sumSq += lap * lap;
+                count++;
+            }
+        }
+
+        const mean = sum / count;
+        return sumSq / count - mean * mean;
+    }
+
+    static _exposure(gray) {
+        let sum = 0;
+        let clipped = 0;
+        for (let i = 0; i < gray.length; i++) {
+            sum += gray[i];
+            if (gray[i] >= 250 || gray[i] <= 5) clipped++;
+        }
+        return { brightness: sum / gray.length, clippedRatio: clipped / gray.length };
+    }
+
+    /**
+     * 亮度在 [minBrightness, maxBrightness] 内满分，超出部分线性扣分，再按截断像素比例扣分
+     */
+    static _exposureScore(metrics, options) {
+        const { brightness, clippedRatio } = metrics;
+        let score = 1;
+        if (brightness < options.minBrightness) {
+            score = brightness / options.minBrightness;
+        } else if (brightness > options.maxBrightness) {
+            score = (255 - brightness) / (255 - options.maxBrightness);
+        }
+        return CoreUtils.clamp(score * (1 - clippedRatio / (2 * options.maxClippedRatio)), 0, 1);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FaceQuality, QualityIssue, QUALITY_DEFAULTS };
+}
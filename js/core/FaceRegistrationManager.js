@@ -3,6 +3,25 @@
  * ---------------------------
  * 人脸注册管理器 - 状态机实现
  * 
+ * 距离计算使用 DistanceMetrics.js（distanceMetric 配置）
+ *
+ * 重复注册检查（duplicateCheck）：保存前（以及采集到 duplicateCheckAfter 帧时）用 FaceMatcher
+ * 把已采集特征与 FaceStorage 中的已注册用户比对，疑似同一人时触发 onDuplicateSuspected，
+ * 由界面决定放弃（abort）、合并到已有用户（merge）或仍按新用户保存（proceed）
+ *
+ * 姿态引导（poseGuidance，依赖 HeadPose.js）：用 68 点特征点估算每帧的头部姿态并归入姿态区间
+ * （正脸 / 左 / 右 / 上 / 下），各区间按 poseShares 分配采集数量，已满区间的帧不再采集，
+ * getPoseTarget() 给出下一个需要采集的区间供页面提示用户转头
+ *
+ * 图像质量（依赖 FaceQuality.js）：每帧评估人脸大小、清晰度、曝光、睁眼和是否被截断，
+ * 不合格的帧不采集；质量分数随特征向量一起保存（captureQuality），
+ * keepBestCaptures > 0 时完成后只保留综合分数最高的若干帧
+ *
+ * 稳健聚合（_finalize）：outlierPruning 时反复去掉离中心最远、且超出中位数 + outlierMadScale × MAD 的帧
+ * （最多去掉到 minKeptRatio），中心按 aggregation 计算（平均 / 逐维截尾平均 / 几何中位数），
+ * 被丢弃的帧及原因记录在 discardedCaptures 中并随用户记录保存；normalizeTemplate 时平均特征再做 L2 归一化
+ * （平均特征由 FaceTemplate.js 计算，使用的方式随用户记录保存为 aggregation，之后模板更新和合并沿用）
+ *
  * 状态流程：
  * IDLE -> COLLECTING -> COMPUTING -> SAVED
  *   ↑__________________________|
@@ -18,20 +37,59 @@ const RegistrationState = {
     ERROR: 'error'           // 错误状态
 };
 
+// ========== 疑似重复注册的处理方式 ==========
+const DuplicateAction = {
+    ABORT: 'abort',         // 放弃本次注册
+    MERGE: 'merge',         // 把本次采集合并到已有用户
+    PROCEED: 'proceed'      // 仍作为新用户保存
+};
+
+// ========== 采集帧被丢弃的原因 ==========
+const DiscardReason = {
+    OUTLIER: 'outlier',                     // 离中心过远（遮挡、模糊等漏过一致性检查的帧）
+    LOWER_QUALITY: 'lower_quality'          // keepBestCaptures 时质量排名靠后
+};
+
 // ========== 配置常量 ==========
 const DEFAULT_CONFIG = {
     maxCaptures: 20,                    // 需要采集的帧数
     captureInterval: 500,               // 每次采集间隔（毫秒）
+    distanceMetric: 'euclidean',        // 距离度量（见 DistanceMetric），以下阈值均为等效欧氏距离
     similarityThreshold: 0.15,          // 最小差异阈值（避免重复帧）
     qualityScoreThreshold: 0.5,         // 人脸置信度阈值
     minFaceAreaRatio: 0.05,             // 人脸最小面积比例（相对于画面）
+    qualityOptions: {},                 // 传给 FaceQuality 的其他阈值（见 QUALITY_DEFAULTS）
+    keepBestCaptures: 0,                // 完成时只保留质量最高的此数量的帧（0 = 全部保留，需小于 maxCaptures 才生效）
     consistencyThreshold: 0.4,          // 同一人判定阈值
-    autoSaveProgress: true              // 是否自动保存进度到 IndexedDB
+    thresholdPercentile: 0.95,          // 个人阈值：取采集特征到平均特征距离的此分位数
+    thresholdSpreadScale: 2.0,          // 个人阈值 = 分位数距离 × 此系数，再换算到 distanceMetric（FaceMatcher 会再限制到全局上下限）
+    autoSaveProgress: true,             // 是否自动保存进度到 IndexedDB
+    duplicateCheck: true,               // 保存前与已注册用户比对（需要 FaceMatcher.js 和 storage）
+    duplicateThreshold: 0.45,           // 平均特征向量与已有用户的距离低于此值视为疑似同一人
+    duplicateCheckAfter: 5,             // 采集到此帧数时提前比对一次（0 = 只在保存前比对）
+    poseGuidance: true,                 // 按头部姿态区间分配采集数量（需要 HeadPose.js 和 withFaceLandmarks）
+    poseShares: {                       // 各姿态区间占 maxCaptures 的比例（每个区间至少 1 帧，余数归正脸）
+        frontal: 0.4,
+        left: 0.15,
+        right: 0.15,
+        up: 0.15,
+        down: 0.15
+    },
+    poseOptions: {},                    // 传给 HeadPose 的阈值（见 HEAD_POSE_DEFAULTS）
+    requireLiveness: false,             // 采集前需要通过活体检测（由界面运行 LivenessChallenge，结果通过 setLivenessResult 传入）
+    aggregation: TemplateAggregation.MEAN,  // 平均特征的计算方式（见 FaceTemplate.js 的 TemplateAggregation）
+    trimRatio: 0.1,                     // trimmed_mean 时每一维两端各去掉的比例
+    outlierPruning: true,               // 完成时去掉离中心过远的帧
+    outlierMadScale: 3,                 // 距离超过 中位数 + 此系数 × MAD（× 1.4826）视为离群
+    outlierMinDistance: 0.2,            // 距离不超过此值（等效欧氏距离）的帧不视为离群
+    minKeptRatio: 0.7,                  // 去掉离群帧后至少保留的比例（且至少 3 帧）
+    normalizeTemplate: false            // 平均特征做 L2 归一化
 };
 
 class FaceRegistrationManager {
     constructor(config = {}) {
         this.config = { ...DEFAULT_CONFIG, ...config };
+        DistanceMetrics.assertValid(this.config.distanceMetric);
 
         // 状态
         this.state = RegistrationState.IDLE;
@@ -43,9 +101,15 @@ class FaceRegistrationManager {
         // 采集的数据
         this.descriptors = [];          // 特征向量数组
         this.capturedFrames = [];       // 缩略图 base64
+        this.poses = [];                // 每帧的头部姿态 { yaw, pitch, roll, bucket }（无特征点时为 null）
+        this.qualities = [];            // 每帧的质量评估 { score, components, metrics }（未加载 FaceQuality.js 时为 null）
 
         // 计算结果
         this.meanDescriptor = null;
+        this.matchThreshold = null;     // 个人匹配阈值（由采集特征的离散程度计算，单位为 distanceMetric）
+        this.enrollmentSpread = null;   // { mean, percentile, max, quantile, scale }：采集特征到平均特征的距离分布及阈值规则
+        this.discardedCaptures = [];    // 完成时丢弃的帧 { capture（第几次采集，从 1 开始）, reason, distance, limit, quality }
+        this.liveness = null;           // 活体检测结果 { passed, actions, duration, checkedAt }
 
         // 回调函数
         this.onStateChange = null;
@@ -53,10 +117,14 @@ class FaceRegistrationManager {
         this.onCapture = null;
         this.onComplete = null;
         this.onError = null;
+        this.onDuplicateSuspected = null;   // ({ user, distance, euclideanDistance, stage }) => DuplicateAction（可返回 Promise）
 
         // 内部状态
         this._lastCaptureTime = 0;
         this._storage = null;
+        this._duplicateDecision = null;     // 提前比对时界面已做出的决定 { userId, action }
+        this._duplicateCheckPending = false;
+        this._captureNumbers = null;        // 完成时当前各帧对应的采集序号（丢弃帧后用于记录 discardedCaptures）
     }
 
     // ========== 初始化 ==========
@@ -90,7 +158,15 @@ class FaceRegistrationManager {
         this.userName = userName;
         this.descriptors = [];
         this.capturedFrames = [];
+        this.poses = [];
+        this.qualities = [];
         this.meanDescriptor = null;
+        this.matchThreshold = null;
+        this.enrollmentSpread = null;
+        this.discardedCaptures = [];
+        this.liveness = null;
+        this._duplicateDecision = null;
+        this._duplicateCheckPending = false;
 
         this._setState(RegistrationState.COLLECTING);
         return true;
@@ -117,7 +193,15 @@ class FaceRegistrationManager {
     cancel() {
         this.descriptors = [];
         this.capturedFrames = [];
+        this.poses = [];
+        this.qualities = [];
         this.meanDescriptor = null;
+        this.matchThreshold = null;
+        this.enrollmentSpread = null;
+        this.discardedCaptures = [];
+        this.liveness = null;
+        this._duplicateDecision = null;
+        this._duplicateCheckPending = false;
 
         if (this._storage) {
             this._storage.clearProgress();
@@ -134,6 +218,20 @@ class FaceRegistrationManager {
         this.start(this.userId, this.userName);
     }
 
+    /**
+     * 记录活体检测结果（LivenessChallenge.getResult），随用户记录一起保存
+     * requireLiveness 时只有通过后才开始采集
+     */
+    setLivenessResult(result) {
+        this.liveness = result ? {
+            passed: result.passed,
+            reason: result.reason,
+            actions: result.completed.map(c => c.action),
+            duration: result.duration,
+            checkedAt: Date.now()
+        } : null;
+    }
+
     // ========== 核心处理逻辑 ==========
 
     /**
@@ -147,6 +245,16 @@ class FaceRegistrationManager {
             return { accepted: false, reason: 'not_collecting' };
         }
 
+        // 等待界面对疑似重复注册做出决定
+        if (this._duplicateCheckPending) {
+            return { accepted: false, reason: 'duplicate_check' };
+        }
+
+        // 活体检测通过前不采集
+        if (this.config.requireLiveness && !(this.liveness && this.liveness.passed)) {
+            return { accepted: false, reason: 'liveness_required' };
+        }
+
         // 检查时间间隔
         const now = Date.now();
         if (now - this._lastCaptureTime < this.config.captureInterval) {
@@ -154,9 +262,9 @@ class FaceRegistrationManager {
         }
 
         // 检查人脸质量
-        const qualityCheck = this._checkQuality(detection);
+        const qualityCheck = this._checkQuality(detection, frameData);
         if (!qualityCheck.passed) {
-            return { accepted: false, reason: qualityCheck.reason };
+            return { accepted: false, reason: qualityCheck.reason, quality: qualityCheck.quality };
         }
 
         // 获取特征向量
@@ -165,6 +273,18 @@ class FaceRegistrationManager {
             return { accepted: false, reason: 'no_descriptor' };
         }
 
+        // 检查头部姿态是否还能增加覆盖
+        const pose = this._estimatePose(detection);
+        if (pose) {
+            if (!pose.bucket) {
+                return { accepted: false, reason: 'pose_extreme', pose, target: this.getPoseTarget() };
+            }
+            const target = this.getPoseTarget();
+            if (target && this._isPoseBucketFull(pose.bucket)) {
+                return { accepted: false, reason: 'pose_covered', pose, target };
+            }
+        }
+
         // 检查是否与已采集的太相似（避免重复帧）
         if (this.descriptors.length > 0) {
             const minDistance = this._getMinDistance(descriptor);
@@ -182,6 +302,8 @@ class FaceRegistrationManager {
 
         // 采集成功！
         this.descriptors.push(new Float32Array(descriptor));
+        this.poses.push(pose);
+        this.qualities.push(qualityCheck.quality);
         this._lastCaptureTime = now;
 
         // 生成缩略图
@@ -204,6 +326,8 @@ class FaceRegistrationManager {
             this.onCapture({
                 index: this.descriptors.length,
                 thumbnail,
+                pose,
+                quality: qualityCheck.quality,
                 progress
             });
         }
@@ -214,6 +338,8 @@ class FaceRegistrationManager {
         // 检查是否完成
         if (this.descriptors.length >= this.config.maxCaptures) {
             this._finalize();
+        } else if (this.config.duplicateCheck && this._storage && this.descriptors.length === this.config.duplicateCheckAfter) {
+            this._checkDuplicateEarly();
         }
 
         return {
@@ -231,6 +357,8 @@ class FaceRegistrationManager {
 
         this.descriptors.pop();
         this.capturedFrames.pop();
+        this.poses.pop();
+        this.qualities.pop();
 
         if (this._storage && this.config.autoSaveProgress) {
             this._saveProgress();
@@ -252,18 +380,48 @@ class FaceRegistrationManager {
         this._setState(RegistrationState.COMPUTING);
 
         try {
+            // 去掉离群帧，再只保留质量最高的帧
+            this._captureNumbers = this.descriptors.map((_, i) => i + 1);
+            this._pruneOutliers();
+            this._keepBestCaptures();
+
             // 计算平均特征向量
-            this.meanDescriptor = this._computeMeanDescriptor(this.descriptors);
+            this.meanDescriptor = this._buildTemplate(this.descriptors);
+
+            // 根据采集特征的离散程度计算个人阈值
+            const adaptive = this._computeUserThreshold(this.descriptors, this.meanDescriptor);
+            this.matchThreshold = adaptive.threshold;
+            this.enrollmentSpread = adaptive.spread;
+
+            // 与已注册用户比对
+            const duplicate = await this._resolveDuplicate('final');
+            if (duplicate.action === DuplicateAction.ABORT) {
+                console.log(`Registration aborted: duplicate of "${duplicate.user.id}"`);
+                this.cancel();
+                return;
+            }
+            if (duplicate.action === DuplicateAction.MERGE) {
+                await this._mergeIntoExisting(duplicate.user.id);
+            }
 
-            // 保存到 IndexedDB
+            // 保存到 IndexedDB（合并时 _mergeIntoExisting 已写入已有用户的记录）
             if (this._storage) {
-                await this._storage.saveUser({
-                    userId: this.userId,
-                    name: this.userName,
-                    descriptors: this.descriptors,
-                    meanDescriptor: this.meanDescriptor,
-                    frameCount: this.descriptors.length
-                });
+                if (duplicate.action !== DuplicateAction.MERGE) {
+                    await this._storage.saveUser({
+                        userId: this.userId,
+                        name: this.userName,
+                        descriptors: this.descriptors,
+                        meanDescriptor: this.meanDescriptor,
+                        matchThreshold: this.matchThreshold,
+                        thresholdMetric: this.config.distanceMetric,
+                        enrollmentSpread: this.enrollmentSpread,
+                        captureQuality: this.qualities,
+                        discardedCaptures: this.discardedCaptures,
+                        aggregation: FaceTemplate.describe(this._templateOptions()),
+                        liveness: this.liveness,
+                        frameCount: this.descriptors.length
+                    });
+                }
 
                 // 清除进度
                 await this._storage.clearProgress();
@@ -277,7 +435,11 @@ class FaceRegistrationManager {
                     userId: this.userId,
                     userName: this.userName,
                     descriptorCount: this.descriptors.length,
-                    meanDescriptor: this.meanDescriptor
+                    meanDescriptor: this.meanDescriptor,
+                    matchThreshold: this.matchThreshold,
+                    enrollmentSpread: this.enrollmentSpread,
+                    discardedCaptures: this.discardedCaptures,
+                    mergedInto: duplicate.action === DuplicateAction.MERGE ? duplicate.user.id : null
                 });
             }
 
@@ -300,34 +462,282 @@ class FaceRegistrationManager {
         await this._finalize();
     }
 
-    // ========== 工具方法 ==========
+    // ========== 姿态覆盖 ==========
+
+    /**
+     * 各姿态区间的已采集数和目标数
+     * @returns {Object|null} { frontal: { count, target }, left: ..., ... }，未启用姿态引导时返回 null
+     */
+    getPoseCoverage() {
+        if (!this._poseEnabled()) return null;
+
+        const targets = this._poseTargets();
+        const coverage = {};
+        Object.keys(targets).forEach(bucket => {
+            coverage[bucket] = {
+                count: this.poses.filter(p => p && p.bucket === bucket).length,
+                target: targets[bucket]
+            };
+        });
+        return coverage;
+    }
+
+    /**
+     * 下一个需要采集的姿态区间（按 poseShares 的顺序），全部采满或未启用时返回 null
+     */
+    getPoseTarget() {
+        const coverage = this.getPoseCoverage();
+        if (!coverage) return null;
+
+        return Object.keys(coverage).find(bucket => coverage[bucket].count < coverage[bucket].target) || null;
+    }
+
+    _poseEnabled() {
+        return this.config.poseGuidance && typeof HeadPose !== 'undefined';
+    }
 
     /**
-     * 计算平均特征向量
+     * 按 poseShares 把 maxCaptures 分配到各区间
      */
-    _computeMeanDescriptor(descriptors) {
-        if (!descriptors || descriptors.length === 0) return null;
+    _poseTargets() {
+        const { poseShares, maxCaptures } = this.config;
+        const buckets = Object.keys(poseShares);
+        const targets = {};
+
+        buckets.forEach(bucket => {
+            targets[bucket] = Math.max(1, Math.floor(poseShares[bucket] * maxCaptures));
+        });
+
+        const assigned = buckets.reduce((sum, bucket) => sum + targets[bucket], 0);
+        const main = buckets.includes(PoseBucket.FRONTAL) ? PoseBucket.FRONTAL : buckets[0];
+        targets[main] = Math.max(1, targets[main] + maxCaptures - assigned);
+        return targets;
+    }
+
+    _isPoseBucketFull(bucket) {
+        const coverage = this.getPoseCoverage();
+        return !coverage || !coverage[bucket] || coverage[bucket].count >= coverage[bucket].target;
+    }
 
-        const len = descriptors[0].length;
-        const mean = new Float32Array(len);
+    /**
+     * 估算头部姿态（检测结果不含特征点或未启用姿态引导时返回 null，按原逻辑采集）
+     */
+    _estimatePose(detection) {
+        if (!this._poseEnabled() || !detection.landmarks) return null;
+
+        const pose = HeadPose.estimate(detection.landmarks, this.config.poseOptions);
+        if (!pose) return null;
+
+        return { ...pose, bucket: HeadPose.bucketOf(pose, this.config.poseOptions) };
+    }
+
+    // ========== 重复注册检查 ==========
+
+    /**
+     * 采集到 duplicateCheckAfter 帧时提前比对，比对和等待决定期间暂停采集
+     */
+    async _checkDuplicateEarly() {
+        this._duplicateCheckPending = true;
 
-        descriptors.forEach(desc => {
-            for (let i = 0; i < len; i++) {
-                mean[i] += desc[i];
+        try {
+            const duplicate = await this._resolveDuplicate('early');
+            if (this.state !== RegistrationState.COLLECTING) return;
+
+            if (duplicate.action === DuplicateAction.ABORT) {
+                console.log(`Registration aborted: duplicate of "${duplicate.user.id}"`);
+                this.cancel();
+            } else if (duplicate.user) {
+                this._duplicateDecision = { userId: duplicate.user.id, action: duplicate.action };
             }
+        } catch (error) {
+            console.warn('Duplicate check failed:', error);
+        } finally {
+            this._duplicateCheckPending = false;
+        }
+    }
+
+    /**
+     * 查找疑似重复的已注册用户，并询问界面如何处理
+     * 提前比对时已对同一用户做出的决定直接沿用，不再重复询问
+     * @param {string} stage - 'early' | 'final'
+     * @returns {Promise<{ action: string, user: Object|null }>}
+     */
+    async _resolveDuplicate(stage) {
+        const match = await this.findDuplicate();
+        if (!match) {
+            return { action: DuplicateAction.PROCEED, user: null };
+        }
+
+        if (this._duplicateDecision && this._duplicateDecision.userId === match.user.id) {
+            return { action: this._duplicateDecision.action, user: match.user };
+        }
+
+        console.warn(`Possible duplicate of "${match.user.id}" (distance ${match.distance.toFixed(3)})`);
+        if (!this.onDuplicateSuspected) {
+            return { action: DuplicateAction.PROCEED, user: match.user };
+        }
+
+        const action = await this.onDuplicateSuspected({ ...match, stage });
+        if (!Object.values(DuplicateAction).includes(action)) {
+            console.warn(`Unknown duplicate action "${action}", proceeding`);
+            return { action: DuplicateAction.PROCEED, user: match.user };
+        }
+        return { action, user: match.user };
+    }
+
+    /**
+     * 用已采集特征的平均值查询已注册用户（排除正在注册的 userId 本身，重新注册同一 id 视为更新）
+     * @returns {Promise<Object|null>} { user: { id, name }, distance, euclideanDistance } 或 null
+     */
+    async findDuplicate() {
+        if (!this.config.duplicateCheck || !this._storage || this.descriptors.length === 0) return null;
+        if (typeof FaceMatcher === 'undefined') {
+            console.warn('Duplicate check skipped: FaceMatcher.js not loaded');
+            return null;
+        }
+
+        const { distanceMetric, duplicateThreshold } = this.config;
+        const matcher = new FaceMatcher({ distanceMetric, useMeanDescriptor: true, logMatches: false });
+        const load = await matcher.loadFromStorage(this._storage);
+        if (!load.success) {
+            console.warn('Duplicate check skipped:', load.error);
+            return null;
+        }
+
+        const query = DistanceMetrics.mean(this.descriptors);
+        const limit = DistanceMetrics.fromEuclidean(duplicateThreshold, distanceMetric);
+        const match = matcher.findTopMatches(query, 2).find(m => m.user.id !== this.userId);
+        if (!match || match.distance >= limit) return null;
+
+        return {
+            user: match.user,
+            distance: match.distance,
+            euclideanDistance: DistanceMetrics.toEuclidean(match.distance, distanceMetric)
+        };
+    }
+
+    /**
+     * 把本次采集合并到已有用户：通过 FaceStorage.updateTemplate 写入合并后的全部特征，
+     * 已有记录的其他字段（registeredAt、liveness、aggregation 等）保持不变，
+     * 平均值和个人阈值按该用户的规则重新计算；合并前的模板记入模板历史，可以撤销
+     */
+    async _mergeIntoExisting(userId) {
+        const existing = await this._storage.getUser(userId);
+        if (!existing) {
+            throw new Error(`User not found: ${userId}`);
+        }
+
+        const descriptors = [...existing.descriptors.map(d => new Float32Array(d)), ...this.descriptors];
+        const qualities = [
+            ...existing.descriptors.map((_, i) => (existing.captureQuality && existing.captureQuality[i]) || null),
+            ...this.qualities
+        ];
+        const merged = await this._storage.updateTemplate(userId, {
+            descriptors,
+            captureQuality: qualities
+        }, {
+            reason: 'registration_merge',
+            added: this.descriptors.length
+        });
+
+        this.userId = merged.userId;
+        this.userName = merged.name;
+        this.descriptors = merged.descriptors;
+        this.qualities = qualities;
+        this.meanDescriptor = merged.meanDescriptor;
+        this.matchThreshold = merged.matchThreshold ?? null;
+        this.enrollmentSpread = merged.enrollmentSpread || null;
+    }
+
+    // ========== 工具方法 ==========
+
+    /**
+     * 平均特征的计算选项（传给 FaceTemplate）
+     */
+    _templateOptions() {
+        const { aggregation, trimRatio, normalizeTemplate } = this.config;
+        return { aggregation, trimRatio, normalize: normalizeTemplate };
+    }
+
+    /**
+     * 用户模板的平均特征：按 aggregation 聚合，normalizeTemplate 时做 L2 归一化
+     */
+    _buildTemplate(descriptors) {
+        return FaceTemplate.build(descriptors, this._templateOptions());
+    }
+
+    /**
+     * 去掉离群帧：每轮去掉离中心最远的一帧，直到最远的帧不超过限制或只剩 minKeptRatio
+     * 限制 = max(outlierMinDistance, 中位数 + outlierMadScale × 1.4826 × MAD)，每轮按剩余的帧重新计算
+     */
+    _pruneOutliers() {
+        const { outlierPruning, outlierMadScale, outlierMinDistance, minKeptRatio } = this.config;
+        if (!outlierPruning) return;
+
+        const minKeep = Math.max(3, Math.ceil(this.descriptors.length * minKeptRatio));
+        const kept = this.descriptors.map((_, i) => i);
+        const discarded = [];
+
+        while (kept.length > minKeep) {
+            const center = FaceTemplate.aggregate(kept.map(i => this.descriptors[i]), this._templateOptions());
+            const distances = kept.map(i => this._euclideanEquivalent(this.descriptors[i], center));
+
+            const median = FaceRegistrationManager._median(distances);
+            const mad = FaceRegistrationManager._median(distances.map(d => Math.abs(d - median)));
+            const limit = Math.max(outlierMinDistance, median + outlierMadScale * 1.4826 * mad);
+
+            const worst = distances.indexOf(Math.max(...distances));
+            if (distances[worst] <= limit) break;
+
+            discarded.push({ index: kept[worst], reason: DiscardReason.OUTLIER, distance: distances[worst], limit });
+            kept.splice(worst, 1);
+        }
+
+        if (discarded.length > 0) {
+            this._retainCaptures(kept, discarded);
+            console.log(`Discarded ${discarded.length} outlier captures`);
+        }
+    }
+
+    /**
+     * 只保留 kept 中的帧（按原顺序），并把 discarded 记录到 discardedCaptures
+     * @param {Array<number>} kept - 保留的帧在当前数组中的下标（升序）
+     * @param {Array<Object>} discarded - [{ index, reason, ... }]
+     */
+    _retainCaptures(kept, discarded) {
+        discarded.forEach(({ index, ...details }) => {
+            this.discardedCaptures.push({
+                capture: this._captureNumbers ? this._captureNumbers[index] : index + 1,
+                ...details
+            });
         });
 
-        for (let i = 0; i < len; i++) {
-            mean[i] /= descriptors.length;
+        const pick = (list) => kept.map(i => list[i]);
+        if (this.capturedFrames.length === this.descriptors.length) {
+            this.capturedFrames = pick(this.capturedFrames);
+        }
+        if (this._captureNumbers) {
+            this._captureNumbers = pick(this._captureNumbers);
         }
+        this.poses = pick(this.poses);
+        this.qualities = pick(this.qualities);
+        this.descriptors = pick(this.descriptors);
+    }
 
-        return mean;
+    /**
+     * 计算个人匹配阈值（见 FaceTemplate.personalThreshold）
+     * @returns {{ threshold: number, spread: { mean, percentile, max, quantile, scale } }}
+     */
+    _computeUserThreshold(descriptors, meanDescriptor) {
+        const { distanceMetric, thresholdPercentile, thresholdSpreadScale } = this.config;
+        return FaceTemplate.personalThreshold(descriptors, meanDescriptor, { distanceMetric, thresholdPercentile, thresholdSpreadScale });
     }
 
     /**
      * 检查人脸质量
+     * 加载了 FaceQuality.js 时做完整评估，否则只检查人脸大小
      */
-    _checkQuality(detection) {
+    _checkQuality(detection, frameData = null) {
         if (!detection || !detection.detection) {
             return { passed: false, reason: 'no_detection' };
         }
@@ -337,13 +747,46 @@ class FaceRegistrationManager {
             return { passed: false, reason: 'low_confidence', score };
         }
 
-        // 检查人脸大小（可选）
+        if (typeof FaceQuality !== 'undefined') {
+            const quality = FaceQuality.assess(detection, frameData, {
+                ...this.config.qualityOptions,
+                minFaceAreaRatio: this.config.minFaceAreaRatio
+            });
+            return quality.passed
+                ? { passed: true, quality }
+                : { passed: false, reason: quality.issue, quality };
+        }
+
+        // 检查人脸大小（需要画面尺寸）
         const box = detection.alignedRect?._box || detection.detection._box;
-        if (box) {
-            // 这里可以添加人脸大小检查
+        if (box && frameData) {
+            const areaRatio = (box._width * box._height) / (frameData.width * frameData.height);
+            if (areaRatio < this.config.minFaceAreaRatio) {
+                return { passed: false, reason: 'face_too_small', areaRatio };
+            }
         }
 
-        return { passed: true };
+        return { passed: true, quality: null };
+    }
+
+    /**
+     * 按质量分数只保留最好的 keepBestCaptures 帧（保持采集顺序）
+     */
+    _keepBestCaptures() {
+        const keep = this.config.keepBestCaptures;
+        if (!keep || this.descriptors.length <= keep) return;
+
+        const ranked = this.descriptors
+            .map((_, i) => ({ i, score: this.qualities[i] ? this.qualities[i].score : 0 }))
+            .sort((a, b) => b.score - a.score);
+
+        const kept = ranked.slice(0, keep).map(entry => entry.i).sort((a, b) => a - b);
+        const discarded = ranked.slice(keep)
+            .map(entry => ({ index: entry.i, reason: DiscardReason.LOWER_QUALITY, quality: entry.score }))
+            .sort((a, b) => a.index - b.index);
+        this._retainCaptures(kept, discarded);
+
+        console.log(`Kept the ${keep} best captures by quality`);
     }
 
     /**
@@ -353,7 +796,7 @@ class FaceRegistrationManager {
         let minDist = Infinity;
 
         for (const ref of this.descriptors) {
-            const dist = this._euclideanDistance(descriptor, ref);
+            const dist = this._euclideanEquivalent(descriptor, ref);
             if (dist < minDist) {
                 minDist = dist;
             }
@@ -367,7 +810,7 @@ class FaceRegistrationManager {
      */
     _isConsistent(descriptor) {
         for (const ref of this.descriptors) {
-            const dist = this._euclideanDistance(descriptor, ref);
+            const dist = this._euclideanEquivalent(descriptor, ref);
             if (dist > this.config.consistencyThreshold) {
                 return false;
             }
@@ -376,15 +819,23 @@ class FaceRegistrationManager {
     }
 
     /**
-     * 欧几里得距离
+     * 当前度量下的距离
      */
-    _euclideanDistance(a, b) {
-        let sum = 0;
-        for (let i = 0; i < a.length; i++) {
-            const diff = a[i] - b[i];
-            sum += diff * diff;
-        }
-        return Math.sqrt(sum);
+    _distance(a, b) {
+        return DistanceMetrics.distance(a, b, this.config.distanceMetric);
+    }
+
+    /**
+     * 当前度量下的距离换算为等效欧氏距离（与阈值配置比较）
+     */
+    _euclideanEquivalent(a, b) {
+        return DistanceMetrics.toEuclidean(this._distance(a, b), this.config.distanceMetric);
+    }
+
+    static _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     }
 
     /**
@@ -448,7 +899,9 @@ class FaceRegistrationManager {
         return {
             current: this.descriptors.length,
             total: this.config.maxCaptures,
-            percentage: Math.round((this.descriptors.length / this.config.maxCaptures) * 100)
+            percentage: Math.round((this.descriptors.length / this.config.maxCaptures) * 100),
+            poseTarget: this.getPoseTarget(),
+            poseCoverage: this.getPoseCoverage()
         };
     }
 
@@ -467,6 +920,8 @@ class FaceRegistrationManager {
                 userName: this.userName,
                 descriptors: this.descriptors.map(d => Array.from(d)),
                 capturedFrames: this.capturedFrames,
+                poses: this.poses,
+                qualities: this.qualities,
                 state: this.state
             });
         } catch (error) {
@@ -485,6 +940,8 @@ class FaceRegistrationManager {
                 this.userName = progress.userName || '';
                 this.descriptors = progress.descriptors.map(d => new Float32Array(d));
                 this.capturedFrames = progress.capturedFrames || [];
+                this.poses = this.descriptors.map((_, i) => (progress.poses && progress.poses[i]) || null);
+                this.qualities = this.descriptors.map((_, i) => (progress.qualities && progress.qualities[i]) || null);
 
                 if (progress.state === RegistrationState.COLLECTING) {
                     this.state = RegistrationState.COLLECTING;
@@ -512,6 +969,8 @@ class FaceRegistrationManager {
             name: this.userName,
             descriptors: this.descriptors.map(d => Array.from(d)),
             meanDescriptor: this.meanDescriptor ? Array.from(this.meanDescriptor) : null,
+            matchThreshold: this.matchThreshold,
+            thresholdMetric: this.config.distanceMetric,
             captureCount: this.descriptors.length,
             registeredAt: Date.now()
         };
@@ -537,5 +996,5 @@ class FaceRegistrationManager {
 
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { FaceRegistrationManager, RegistrationState };
+    module.exports = { FaceRegistrationManager, RegistrationState, DuplicateAction, DiscardReason };
 }
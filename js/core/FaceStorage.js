@@ -3,49 +3,559 @@
  * ---------------
  * 负责 IndexedDB 存储和 JSON 导入/导出
  * 用于保存注册进度和已注册的用户数据
+ *
+ * 可选加密：启用后特征向量以 AES-GCM 加密存储（依赖 FaceCrypto.js，需先加载）；
+ *          注册进度中的缩略图、姿态和质量评估等也一并加密，只保留 PROGRESS_PLAIN_FIELDS 为明文
+ * 导出包：带校验和 / 签名 / 加密的导出格式（依赖 FaceBundle.js，需先加载）
+ * 导入校验：依赖 DescriptorValidator.js
+ * 二进制格式：依赖 DescriptorCodec.js
+ * 模板更新 / 回滚 / 合并后按记录的 aggregation 重新计算平均特征：依赖 FaceTemplate.js
  */
 
+// 导入冲突处理方式（userId 已存在且内容不同时）
+const IMPORT_MODES = {
+    SKIP: 'skip',           // 保留现有记录
+    OVERWRITE: 'overwrite', // 用导入的记录覆盖
+    MERGE: 'merge',         // 合并特征向量并重新计算平均值
+    RENAME: 'rename'        // 以新的 userId（id_2, id_3...）导入
+};
+
+// 导入报告中每条记录的状态
+const ImportStatus = {
+    NEW: 'new',
+    CHANGED: 'changed',
+    IDENTICAL: 'identical',
+    INVALID: 'invalid'
+};
+
 const DB_NAME = 'FaceRegistrationDB';
-const DB_VERSION = 1;
+const ENCRYPTION_VERIFIER = 'FaceStorage:passphrase-check';
 const STORE_PROGRESS = 'registrationProgress';
 const STORE_USERS = 'registeredUsers';
+const STORE_META = 'meta';
+const STORE_HISTORY = 'templateHistory';
+const TEMPLATE_HISTORY_LIMIT = 20;     // 每个用户最多保留的模板历史条数
+const SEARCH_INDEX_PREFIX = 'index:';
+const PROGRESS_PLAIN_FIELDS = ['id', 'timestamp', 'schemaVersion'];  // 加密时注册进度中保持明文的字段
+const CALIBRATION_ID = 'calibration';
+
+/**
+ * Schema 迁移列表
+ * - 按 version 升序排列，只能在末尾追加，已发布的条目不要修改
+ * - upgrade(db, tx) 在 versionchange 事务中执行，可以创建 store / index，
+ *   也可以通过 _migrateRecords 原地升级已有记录
+ * - upgrade 可返回 Promise，但只能等待 IDB 请求（等待其他异步操作会导致事务提前提交）
+ * - 任何一步失败都会 abort 整个事务，数据库保持在旧版本，已有数据不受影响
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create registrationProgress and registeredUsers stores',
+        upgrade(db) {
+            // 存储注册进度（断点续传）
+            if (!db.objectStoreNames.contains(STORE_PROGRESS)) {
+                db.createObjectStore(STORE_PROGRESS, { keyPath: 'id' });
+            }
+
+            // 存储已注册的用户
+            if (!db.objectStoreNames.contains(STORE_USERS)) {
+                const store = db.createObjectStore(STORE_USERS, { keyPath: 'userId' });
+                store.createIndex('name', 'name', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Add meta store; backfill frameCount and registeredAt on existing records',
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains(STORE_META)) {
+                db.createObjectStore(STORE_META, { keyPath: 'id' });
+            }
+
+            return Promise.all([
+                _migrateRecords(tx.objectStore(STORE_USERS), 2, user => ({
+                    ...user,
+                    frameCount: user.frameCount ?? (user.descriptors ? user.descriptors.length : 0),
+                    registeredAt: user.registeredAt ?? Date.now()
+                })),
+                _migrateRecords(tx.objectStore(STORE_PROGRESS), 2, progress => progress)
+            ]);
+        }
+    },
+    {
+        version: 3,
+        description: 'Add templateHistory store for adaptive template updates',
+        upgrade(db) {
+            // 模板更新前的快照（用于撤销），按 userId 查询
+            if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+                const store = db.createObjectStore(STORE_HISTORY, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('userId', 'userId', { unique: false });
+            }
+        }
+    }
+];
+
+// 当前代码支持的 schema 版本（即最后一个迁移的版本号）
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 遍历 store 中的所有记录并原地升级
+ * @param {IDBObjectStore} store - versionchange 事务中的 store
+ * @param {number} version - 写入记录的 schemaVersion
+ * @param {Function} transform - (record) => 升级后的记录
+ * @returns {Promise<number>} 升级的记录数
+ */
+function _migrateRecords(store, version, transform) {
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        const request = store.openCursor();
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(count);
+                return;
+            }
+
+            const upgraded = { ...transform(cursor.value), schemaVersion: version };
+            const update = cursor.update(upgraded);
+            update.onerror = () => reject(update.error);
+            count++;
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * 依次执行 oldVersion 之后的所有迁移，并记录已应用的版本
+ */
+async function _runMigrations(db, tx, oldVersion) {
+    const pending = MIGRATIONS.filter(m => m.version > oldVersion);
+    const applied = [];
+
+    for (const migration of pending) {
+        console.log(`FaceStorage: Migrating schema v${migration.version} - ${migration.description}`);
+        await migration.upgrade(db, tx);
+        applied.push({
+            version: migration.version,
+            description: migration.description,
+            appliedAt: Date.now()
+        });
+    }
+
+    // 记录 schema 版本（meta store 由 v2 迁移创建）
+    const metaStore = tx.objectStore(STORE_META);
+    const existing = await new Promise((resolve, reject) => {
+        const request = metaStore.get('schema');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+
+    metaStore.put({
+        id: 'schema',
+        version: DB_VERSION,
+        updatedAt: Date.now(),
+        history: [...(existing?.history || []), ...applied]
+    });
+}
 
 class FaceStorage {
     constructor() {
         this.db = null;
+
+        // 加密状态：_encryption 为 meta 中的加密配置，_key 为解锁后的密钥（仅保存在内存中）
+        this._encryption = null;
+        this._key = null;
     }
 
     /**
      * 初始化 IndexedDB 连接
+     * 如需升级会按顺序执行 MIGRATIONS；数据库由更新版本的代码写入时拒绝打开
      */
     async init() {
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('FaceStorage: IndexedDB initialized');
+            request.onerror = () => {
+                // 数据库版本高于当前代码支持的版本
+                if (request.error && request.error.name === 'VersionError') {
+                    reject(this._schemaTooNewError());
+                    return;
+                }
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('FaceStorage: Upgrade blocked - close other tabs using the face database');
+            };
+
+            request.onsuccess = async () => {
+                const db = request.result;
+
+                // 其他标签页升级数据库时释放连接，避免阻塞升级
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    console.warn('FaceStorage: Database upgraded elsewhere, connection closed');
+                };
+
+                try {
+                    const schema = await this._readMeta(db, 'schema');
+                    if (schema && schema.version > DB_VERSION) {
+                        db.close();
+                        reject(this._schemaTooNewError(schema.version));
+                        return;
+                    }
+                    this._encryption = await this._readMeta(db, 'encryption');
+                } catch (error) {
+                    db.close();
+                    reject(error);
+                    return;
+                }
+
+                this.db = db;
+                console.log(`FaceStorage: IndexedDB initialized (schema v${DB_VERSION})`);
                 resolve(this);
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const tx = event.target.transaction;
 
-                // 存储注册进度（断点续传）
-                if (!db.objectStoreNames.contains(STORE_PROGRESS)) {
-                    db.createObjectStore(STORE_PROGRESS, { keyPath: 'id' });
-                }
-
-                // 存储已注册的用户
-                if (!db.objectStoreNames.contains(STORE_USERS)) {
-                    const store = db.createObjectStore(STORE_USERS, { keyPath: 'userId' });
-                    store.createIndex('name', 'name', { unique: false });
-                }
+                _runMigrations(db, tx, event.oldVersion).catch(error => {
+                    console.error('FaceStorage: Migration failed, rolling back', error);
+                    tx.abort();
+                });
             };
         });
     }
 
+    /**
+     * 获取 schema 信息（当前版本和迁移历史）
+     */
+    async getSchemaInfo() {
+        if (!this.db) await this.init();
+        return this._readMeta(this.db, 'schema');
+    }
+
+    _readMeta(db, id) {
+        return new Promise((resolve, reject) => {
+            if (!db.objectStoreNames.contains(STORE_META)) {
+                resolve(null);
+                return;
+            }
+
+            const tx = db.transaction(STORE_META, 'readonly');
+            const request = tx.objectStore(STORE_META).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _schemaTooNewError(version) {
+        const found = version ? `v${version}` : 'a newer version';
+        const error = new Error(`Face database was written by ${found}, this page supports up to v${DB_VERSION}. Please update the application.`);
+        error.code = 'SCHEMA_TOO_NEW';
+        return error;
+    }
+
+    // ========== 加密（可选） ==========
+
+    /**
+     * 是否启用了加密存储
+     */
+    isEncrypted() {
+        return !!this._encryption;
+    }
+
+    /**
+     * 是否处于锁定状态（已加密但尚未 unlock）
+     */
+    isLocked() {
+        return this.isEncrypted() && !this._key;
+    }
+
+    /**
+     * 用口令解锁，之后 getUser / getAllUsers 会透明解密
+     */
+    async unlock(passphrase) {
+        if (!this.db) await this.init();
+        if (!this._encryption) return true;
+
+        this._key = await this._verifyPassphrase(passphrase, this._encryption);
+        console.log('FaceStorage: Unlocked');
+        return true;
+    }
+
+    /**
+     * 丢弃内存中的密钥
+     */
+    lock() {
+        this._key = null;
+    }
+
+    /**
+     * 弹出口令输入框解锁（最多尝试 3 次）
+     * @returns {Promise<boolean>} 是否已解锁（用户取消时返回 false）
+     */
+    async promptUnlock(message = 'Enter the face database passphrase:') {
+        if (!this.db) await this.init();
+
+        for (let attempt = 0; attempt < 3 && this.isLocked(); attempt++) {
+            const passphrase = window.prompt(message);
+            if (passphrase === null) return false;
+
+            try {
+                await this.unlock(passphrase);
+            } catch (error) {
+                message = 'Incorrect passphrase, please try again:';
+            }
+        }
+
+        return !this.isLocked();
+    }
+
+    /**
+     * 启用加密：用口令派生密钥，并加密所有已有记录
+     */
+    async enableEncryption(passphrase) {
+        if (!this.db) await this.init();
+        if (this._encryption) {
+            throw new Error('Encryption is already enabled');
+        }
+
+        const { meta, key } = await this._createEncryption(passphrase);
+        const users = await this._getAll(STORE_USERS);
+        const progress = await this._getAll(STORE_PROGRESS);
+        const history = await this._getAll(STORE_HISTORY);
+
+        await this._writeAll({
+            [STORE_USERS]: await Promise.all(users.map(u => this._seal(u, key))),
+            [STORE_PROGRESS]: await Promise.all(progress.map(p => this._seal(p, key, PROGRESS_PLAIN_FIELDS))),
+            [STORE_HISTORY]: await Promise.all(history.map(h => this._seal(h, key))),
+            [STORE_META]: [meta]
+        }, {
+            // 已保存的搜索索引由明文特征向量派生
+            [STORE_META]: [IDBKeyRange.bound(SEARCH_INDEX_PREFIX, SEARCH_INDEX_PREFIX + '\uffff')]
+        });
+
+        this._encryption = meta;
+        this._key = key;
+        console.log(`FaceStorage: Encryption enabled for ${users.length} users`);
+    }
+
+    /**
+     * 更换口令：用旧密钥解密、新密钥重新加密所有记录（单个事务，失败则全部回滚）
+     */
+    async changePassphrase(oldPassphrase, newPassphrase) {
+        if (!this.db) await this.init();
+        if (!this._encryption) {
+            throw new Error('Encryption is not enabled');
+        }
+
+        const oldKey = await this._verifyPassphrase(oldPassphrase, this._encryption);
+        const { meta, key } = await this._createEncryption(newPassphrase);
+        const reseal = async (record, plainFields) => this._seal(await this._open(record, oldKey), key, plainFields);
+
+        const users = await this._getAll(STORE_USERS);
+        const progress = await this._getAll(STORE_PROGRESS);
+        const history = await this._getAll(STORE_HISTORY);
+
+        await this._writeAll({
+            [STORE_USERS]: await Promise.all(users.map(u => reseal(u))),
+            [STORE_PROGRESS]: await Promise.all(progress.map(p => reseal(p, PROGRESS_PLAIN_FIELDS))),
+            [STORE_HISTORY]: await Promise.all(history.map(h => reseal(h))),
+            [STORE_META]: [meta]
+        });
+
+        this._encryption = meta;
+        this._key = key;
+        console.log(`FaceStorage: Passphrase rotated for ${users.length} users`);
+    }
+
+    /**
+     * 关闭加密：解密所有记录并删除加密配置
+     */
+    async disableEncryption(passphrase) {
+        if (!this.db) await this.init();
+        if (!this._encryption) return;
+
+        const key = await this._verifyPassphrase(passphrase, this._encryption);
+        const users = await this._getAll(STORE_USERS);
+        const progress = await this._getAll(STORE_PROGRESS);
+        const history = await this._getAll(STORE_HISTORY);
+
+        await this._writeAll({
+            [STORE_USERS]: await Promise.all(users.map(u => this._open(u, key))),
+            [STORE_PROGRESS]: await Promise.all(progress.map(p => this._open(p, key))),
+            [STORE_HISTORY]: await Promise.all(history.map(h => this._open(h, key)))
+        }, {
+            [STORE_META]: ['encryption']
+        });
+
+        this._encryption = null;
+        this._key = null;
+        console.log('FaceStorage: Encryption disabled');
+    }
+
+    /**
+     * 生成新的盐和密钥，以及用于校验口令的 verifier
+     */
+    async _createEncryption(passphrase) {
+        const salt = FaceCrypto.randomBytes(CRYPTO_DEFAULTS.saltLength);
+        const iterations = CRYPTO_DEFAULTS.iterations;
+        const key = await FaceCrypto.deriveKey(passphrase, salt, iterations);
+        const verifier = await FaceCrypto.encrypt(key, new TextEncoder().encode(ENCRYPTION_VERIFIER));
+
+        return {
+            key,
+            meta: {
+                id: 'encryption',
+                kdf: CRYPTO_DEFAULTS.kdf,
+                cipher: CRYPTO_DEFAULTS.cipher,
+                salt,
+                iterations,
+                verifier,
+                createdAt: Date.now()
+            }
+        };
+    }
+
+    /**
+     * 校验口令并返回派生的密钥
+     */
+    async _verifyPassphrase(passphrase, encryption) {
+        const key = await FaceCrypto.deriveKey(passphrase, encryption.salt, encryption.iterations);
+
+        try {
+            await FaceCrypto.decrypt(key, encryption.verifier.iv, encryption.verifier.data);
+        } catch (error) {
+            const wrong = new Error('Incorrect passphrase');
+            wrong.code = 'BAD_PASSPHRASE';
+            throw wrong;
+        }
+
+        return key;
+    }
+
+    _requireKey() {
+        if (!this._key) {
+            const error = new Error('Face database is locked. Unlock it with the passphrase first.');
+            error.code = 'STORAGE_LOCKED';
+            throw error;
+        }
+        return this._key;
+    }
+
+    /**
+     * 加密记录中的 descriptors / meanDescriptor，其余字段保持明文
+     * @param {Array<string>} [plainFields] - 指定时只有这些字段保持明文，其余字段序列化为 JSON 一并加密
+     */
+    async _seal(record, key, plainFields = null) {
+        if (!record || record.sealed) return record;
+
+        const { descriptors = [], meanDescriptor = null, ...rest } = record;
+        const vectors = meanDescriptor ? [...descriptors, meanDescriptor] : [...descriptors];
+        const { buffer, count, dim } = FaceCrypto.packVectors(vectors);
+        const { iv, data } = await FaceCrypto.encrypt(key, buffer);
+        const sealed = { iv, data, count, dim, hasMean: !!meanDescriptor };
+
+        if (!plainFields) {
+            return { ...rest, sealed };
+        }
+
+        const plain = {};
+        const hidden = {};
+        Object.entries(rest).forEach(([field, value]) => {
+            (plainFields.includes(field) ? plain : hidden)[field] = value;
+        });
+        const fields = await FaceCrypto.encrypt(key, new TextEncoder().encode(JSON.stringify(hidden)));
+        sealed.fieldsIv = fields.iv;
+        sealed.fields = fields.data;
+
+        return { ...plain, sealed };
+    }
+
+    /**
+     * 解密 _seal 生成的记录
+     */
+    async _open(record, key) {
+        if (!record || !record.sealed) return record;
+
+        const { sealed, ...rest } = record;
+        const buffer = await FaceCrypto.decrypt(key, sealed.iv, sealed.data);
+        const vectors = FaceCrypto.unpackVectors(buffer, sealed.count, sealed.dim);
+        const meanDescriptor = sealed.hasMean ? vectors.pop() : null;
+
+        let hidden = {};
+        if (sealed.fields) {
+            const fields = await FaceCrypto.decrypt(key, sealed.fieldsIv, sealed.fields);
+            hidden = JSON.parse(new TextDecoder().decode(fields));
+        }
+
+        return { ...rest, ...hidden, descriptors: vectors, meanDescriptor };
+    }
+
+    /**
+     * 写入前按需加密
+     */
+    async _protect(record, plainFields = null) {
+        return this._encryption ? this._seal(record, this._requireKey(), plainFields) : record;
+    }
+
+    /**
+     * 读取后按需解密
+     */
+    async _reveal(record) {
+        return record && record.sealed ? this._open(record, this._requireKey()) : record;
+    }
+
+    // ========== 底层读写 ==========
+
+    _getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _getAllByIndex(storeName, indexName, key) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).index(indexName).getAll(key);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 在单个事务中写入 / 删除多个 store 的记录，任何一步失败都会整体回滚
+     * @param {Object} puts - { storeName: [records] }
+     * @param {Object} deletes - { storeName: [keys] }
+     */
+    _writeAll(puts = {}, deletes = {}) {
+        const storeNames = [...new Set([...Object.keys(puts), ...Object.keys(deletes)])];
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, 'readwrite');
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            Object.entries(puts).forEach(([storeName, records]) => {
+                const store = tx.objectStore(storeName);
+                records.forEach(record => store.put(record));
+            });
+            Object.entries(deletes).forEach(([storeName, keys]) => {
+                const store = tx.objectStore(storeName);
+                keys.forEach(key => store.delete(key));
+            });
+        });
+    }
+
     // ========== 注册进度管理 ==========
 
     /**
@@ -54,16 +564,17 @@ class FaceStorage {
     async saveProgress(progressData) {
         if (!this.db) await this.init();
 
+        const data = await this._protect({
+            id: 'current',
+            timestamp: Date.now(),
+            ...progressData,
+            schemaVersion: DB_VERSION
+        }, PROGRESS_PLAIN_FIELDS);
+
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction(STORE_PROGRESS, 'readwrite');
             const store = tx.objectStore(STORE_PROGRESS);
 
-            const data = {
-                id: 'current',
-                timestamp: Date.now(),
-                ...progressData
-            };
-
             const request = store.put(data);
             request.onsuccess = () => resolve(true);
             request.onerror = () => reject(request.error);
@@ -83,7 +594,7 @@ class FaceStorage {
 
             request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
-        });
+        }).then(record => this._reveal(record));
     }
 
     /**
@@ -110,15 +621,16 @@ class FaceStorage {
     async saveUser(userData) {
         if (!this.db) await this.init();
 
+        const data = await this._protect({
+            ...userData,
+            registeredAt: Date.now(),
+            schemaVersion: DB_VERSION
+        });
+
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction(STORE_USERS, 'readwrite');
             const store = tx.objectStore(STORE_USERS);
 
-            const data = {
-                ...userData,
-                registeredAt: Date.now()
-            };
-
             const request = store.put(data);
             request.onsuccess = () => resolve(true);
             request.onerror = () => reject(request.error);
@@ -131,14 +643,8 @@ class FaceStorage {
     async getAllUsers() {
         if (!this.db) await this.init();
 
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(STORE_USERS, 'readonly');
-            const store = tx.objectStore(STORE_USERS);
-            const request = store.getAll();
-
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
-        });
+        const users = await this._getAll(STORE_USERS);
+        return Promise.all(users.map(user => this._reveal(user)));
     }
 
     /**
@@ -154,79 +660,560 @@ class FaceStorage {
 
             request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
-        });
+        }).then(record => this._reveal(record));
     }
 
     /**
-     * 删除用户
+     * 删除用户（连同其模板历史）
      */
     async deleteUser(userId) {
         if (!this.db) await this.init();
 
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(STORE_USERS, 'readwrite');
-            const store = tx.objectStore(STORE_USERS);
-            const request = store.delete(userId);
+        const history = await this._getAllByIndex(STORE_HISTORY, 'userId', userId);
+        return this._writeAll({}, {
+            [STORE_USERS]: [userId],
+            [STORE_HISTORY]: history.map(entry => entry.id)
+        });
+    }
 
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => reject(request.error);
+    /**
+     * 把 sourceId 的特征向量合并到 targetId（去重并重新计算平均值），再删除 sourceId（单个事务）
+     * 保留 targetId 的名称；合并后采集特征的离散程度改变，targetId 有个人阈值时按注册时的规则重新计算（与导入的 merge 一致）
+     * @returns {Promise<Object>} 合并后的记录
+     */
+    async mergeUsers(targetId, sourceId) {
+        if (!this.db) await this.init();
+        if (targetId === sourceId) {
+            throw new Error('Cannot merge a user into itself');
+        }
+
+        const [target, source] = await Promise.all([this.getUser(targetId), this.getUser(sourceId)]);
+        if (!target || !source) {
+            throw new Error(`User not found: ${target ? sourceId : targetId}`);
+        }
+
+        const merged = this._mergeUsers(target, { ...source, name: target.name });
+        const sourceHistory = await this._getAllByIndex(STORE_HISTORY, 'userId', sourceId);
+
+        await this._writeAll(
+            { [STORE_USERS]: [await this._protect(this._toStoredRecord(merged))] },
+            { [STORE_USERS]: [sourceId], [STORE_HISTORY]: sourceHistory.map(entry => entry.id) }
+        );
+
+        console.log(`FaceStorage: Merged "${sourceId}" into "${targetId}" (${merged.descriptors.length} descriptors)`);
+        return merged;
+    }
+
+    // ========== 模板更新历史 ==========
+
+    /**
+     * 更新用户模板（特征向量），并把更新前的模板存入历史（单个事务）
+     * 平均特征向量按记录的 aggregation 重新计算，有个人阈值时按注册时的规则重新计算（FaceTemplate.rebuild）
+     * 每个用户只保留最近 TEMPLATE_HISTORY_LIMIT 条历史
+     * @param {string} userId
+     * @param {Object} template - { descriptors, captureQuality }
+     * @param {Object} details - 记录在历史中的说明（如 { reason, added, replacedIndex }）
+     * @returns {Promise<Object>} 更新后的记录
+     */
+    async updateTemplate(userId, template, details = {}) {
+        if (!this.db) await this.init();
+
+        const current = await this.getUser(userId);
+        if (!current) {
+            throw new Error(`User not found: ${userId}`);
+        }
+
+        const updated = this._toStoredRecord({
+            ...FaceTemplate.rebuild(current, template.descriptors),
+            captureQuality: template.captureQuality || null,
+            templateUpdatedAt: Date.now()
         });
+        const entry = {
+            ...details,
+            userId,
+            createdAt: Date.now(),
+            descriptors: current.descriptors,
+            meanDescriptor: current.meanDescriptor || null,
+            captureQuality: current.captureQuality || null
+        };
+
+        const history = await this._getAllByIndex(STORE_HISTORY, 'userId', userId);
+        const expired = history
+            .sort((a, b) => a.id - b.id)
+            .slice(0, Math.max(0, history.length - TEMPLATE_HISTORY_LIMIT + 1))
+            .map(old => old.id);
+
+        await this._writeAll({
+            [STORE_USERS]: [await this._protect(updated)],
+            [STORE_HISTORY]: [await this._protect(entry)]
+        }, {
+            [STORE_HISTORY]: expired
+        });
+
+        return updated;
     }
 
-    // ========== JSON 导入/导出 ==========
+    /**
+     * 获取用户的模板历史（最新的在前）
+     * 每条记录的 descriptors / meanDescriptor 为该次更新前的模板
+     * @returns {Promise<Array>} [{ id, userId, createdAt, reason, descriptors, meanDescriptor, ... }]
+     */
+    async getTemplateHistory(userId) {
+        if (!this.db) await this.init();
+
+        const history = await this._getAllByIndex(STORE_HISTORY, 'userId', userId);
+        history.sort((a, b) => b.id - a.id);
+        return Promise.all(history.map(entry => this._reveal(entry)));
+    }
 
     /**
-     * 导出所有用户为 JSON
+     * 撤销模板更新：恢复到 historyId 那次更新之前的模板，并删除该条及之后的历史
+     * @returns {Promise<Object>} 恢复后的记录
      */
-    async exportToJSON() {
-        const users = await this.getAllUsers();
+    async revertTemplate(userId, historyId) {
+        if (!this.db) await this.init();
 
-        // 转换为标准格式
-        const exportData = users.map(user => ({
+        const [current, history] = await Promise.all([this.getUser(userId), this.getTemplateHistory(userId)]);
+        const entry = history.find(h => h.id === historyId);
+        if (!current || !entry) {
+            throw new Error(current ? `Template history not found: ${historyId}` : `User not found: ${userId}`);
+        }
+
+        const restored = this._toStoredRecord({
+            ...FaceTemplate.rebuild(current, entry.descriptors),
+            captureQuality: entry.captureQuality || null,
+            templateUpdatedAt: Date.now()
+        });
+
+        await this._writeAll({
+            [STORE_USERS]: [await this._protect(restored)]
+        }, {
+            [STORE_HISTORY]: history.filter(h => h.id >= historyId).map(h => h.id)
+        });
+
+        console.log(`FaceStorage: Reverted template of "${userId}" (${restored.descriptors.length} descriptors)`);
+        return restored;
+    }
+
+    // ========== 搜索索引 ==========
+
+    /**
+     * 保存 FaceMatcher 构建的搜索索引（存入 meta store，id 为 SEARCH_INDEX_PREFIX + name）
+     * 索引由特征向量派生，加密存储时不保存
+     * @param {string} name - 索引名称（如 'lsh'）
+     * @param {Object} data - { fingerprint, index }
+     * @returns {Promise<boolean>} 是否已保存
+     */
+    async saveSearchIndex(name, data) {
+        if (!this.db) await this.init();
+        if (this._encryption) return false;
+
+        await this._writeAll({
+            [STORE_META]: [{ id: SEARCH_INDEX_PREFIX + name, ...data, savedAt: Date.now() }]
+        });
+        return true;
+    }
+
+    /**
+     * 读取已保存的搜索索引
+     * @returns {Promise<Object|null>} { fingerprint, index, savedAt }
+     */
+    async loadSearchIndex(name) {
+        if (!this.db) await this.init();
+        if (this._encryption) return null;
+
+        return this._readMeta(this.db, SEARCH_INDEX_PREFIX + name);
+    }
+
+    async deleteSearchIndex(name) {
+        if (!this.db) await this.init();
+
+        await this._writeAll({}, { [STORE_META]: [SEARCH_INDEX_PREFIX + name] });
+        return true;
+    }
+
+    // ========== 置信度校准 ==========
+
+    /**
+     * 保存置信度校准（ScoreCalibrator.toJSON() 的结果，存入 meta store）
+     * 只包含距离统计，不含特征向量，加密存储时也会保存
+     */
+    async saveCalibration(calibration) {
+        if (!this.db) await this.init();
+
+        await this._writeAll({
+            [STORE_META]: [{ ...calibration, id: CALIBRATION_ID, savedAt: Date.now() }]
+        });
+        return true;
+    }
+
+    /**
+     * 读取已保存的置信度校准
+     * @returns {Promise<Object|null>}
+     */
+    async loadCalibration() {
+        if (!this.db) await this.init();
+
+        return this._readMeta(this.db, CALIBRATION_ID);
+    }
+
+    async deleteCalibration() {
+        if (!this.db) await this.init();
+
+        await this._writeAll({}, { [STORE_META]: [CALIBRATION_ID] });
+        return true;
+    }
+
+    // ========== JSON 导入/导出 ==========
+
+    /**
+     * 将存储记录转换为导出格式
+     */
+    toExportRecord(user) {
+        const record = {
             id: user.userId,
             name: user.name,
             descriptors: user.descriptors.map(d => Array.from(d)),
             meanDescriptor: user.meanDescriptor ? Array.from(user.meanDescriptor) : null,
             registeredAt: user.registeredAt
-        }));
+        };
+
+        // 个人匹配阈值（注册时由 FaceRegistrationManager 计算，thresholdMetric 为其距离度量）
+        if (typeof user.matchThreshold === 'number') {
+            record.matchThreshold = user.matchThreshold;
+            record.thresholdMetric = user.thresholdMetric || 'euclidean';
+        }
+
+        return record;
+    }
+
+    /**
+     * 导出所有用户为 JSON（旧格式：纯数组，无校验）
+     */
+    async exportToJSON() {
+        const users = await this.getAllUsers();
+
+        // 转换为标准格式
+        const exportData = users.map(user => this.toExportRecord(user));
 
         return JSON.stringify(exportData, null, 2);
     }
 
+    /**
+     * 导出为带校验和的导出包（见 FaceBundle.js）
+     * @param {Object} options
+     * @param {Array<string>} [options.userIds] - 只导出指定用户（默认全部）
+     * @param {string} [options.passphrase] - 加密口令（可选）
+     * @param {string} [options.signingKey] - HMAC 签名密钥（可选）
+     */
+    async exportBundle(options = {}) {
+        let users = await this.getAllUsers();
+        if (options.userIds) {
+            users = users.filter(u => options.userIds.includes(u.userId));
+        }
+
+        const bundle = await FaceBundle.create(users.map(user => this.toExportRecord(user)), options);
+        return JSON.stringify(bundle, null, 2);
+    }
+
     /**
      * 从 JSON 导入用户
+     * 支持导出包（先校验校验和 / 签名，再解密）和旧格式数组
+     *
+     * 流程：解析 -> 逐条与现有数据比对生成报告 -> 所有记录在单个事务中写入
+     * 任何一条记录无效都会拒绝整个导入（不写入任何数据）
+     *
+     * @param {string} jsonString
+     * @param {Object} options
+     * @param {string} [options.mode] - 冲突处理方式，见 IMPORT_MODES（默认 skip）
+     * @param {boolean} [options.dryRun] - 只生成报告，不写入（有无效记录时 success 仍为 true，见 summary.invalid）
+     * @param {string} [options.passphrase] / [options.signingKey] / [options.requireSignature] - 传给 FaceBundle.open
+     * @returns {Promise<Object>} { success, count, dryRun, report, summary, error }
      */
-    async importFromJSON(jsonString) {
+    async importFromJSON(jsonString, options = {}) {
+        let records;
+
         try {
             const data = JSON.parse(jsonString);
 
-            if (!Array.isArray(data)) {
-                throw new Error('Invalid format: expected array');
+            if (FaceBundle.isBundle(data)) {
+                ({ records } = await FaceBundle.open(data, options));
+            } else if (Array.isArray(data)) {
+                if (options.requireSignature || options.signingKey) {
+                    throw new Error('Unsigned legacy file rejected: a signed bundle is required');
+                }
+                records = data;
+            } else {
+                throw new Error('Invalid format: expected bundle or array');
             }
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code, report: [], summary: null };
+        }
 
-            let imported = 0;
-            for (const user of data) {
-                await this.saveUser({
-                    userId: user.id,
-                    name: user.name,
-                    descriptors: user.descriptors.map(d => new Float32Array(d)),
-                    meanDescriptor: user.meanDescriptor ? new Float32Array(user.meanDescriptor) : null
-                });
-                imported++;
+        return this.importRecords(records, options);
+    }
+
+    /**
+     * 从 .fdb 二进制数据导入用户（见 DescriptorCodec.js），选项同 importFromJSON
+     * .fdb 没有签名，要求签名（requireSignature）或提供了签名密钥（signingKey）时与旧格式数组一样拒绝
+     */
+    async importFromBinary(buffer, options = {}) {
+        let records;
+
+        try {
+            if (options.requireSignature || options.signingKey) {
+                throw new Error('Unsigned binary file rejected: a signed bundle is required');
+            }
+            ({ records } = DescriptorCodec.decode(buffer));
+        } catch (error) {
+            return { success: false, error: error.message, report: [], summary: null };
+        }
+
+        return this.importRecords(records, options);
+    }
+
+    /**
+     * 导入已解析的导出格式记录（比对、报告、单事务写入）
+     * @param {Array} records - [{ id, name, descriptors, meanDescriptor, registeredAt }]
+     * @param {Object} options - { mode, dryRun }
+     */
+    async importRecords(records, options = {}) {
+        const mode = options.mode || IMPORT_MODES.SKIP;
+        const dryRun = !!options.dryRun;
+
+        try {
+            if (!Object.values(IMPORT_MODES).includes(mode)) {
+                throw new Error(`Unknown import mode: ${mode}`);
             }
 
-            return { success: true, count: imported };
+            const existing = new Map((await this.getAllUsers()).map(u => [u.userId, u]));
+            const { report, writes } = this._planImport(records, existing, mode);
+
+            const summary = { new: 0, changed: 0, identical: 0, invalid: 0 };
+            report.forEach(entry => summary[entry.status]++);
+
+            const firstInvalid = report.find(entry => entry.status === ImportStatus.INVALID);
+            if (firstInvalid && !dryRun) {
+                throw Object.assign(
+                    new Error(`Record #${firstInvalid.index} (${firstInvalid.id ?? 'no id'}) is invalid: ${firstInvalid.reason}. Nothing was imported.`),
+                    { report, summary }
+                );
+            }
+
+            if (!dryRun && writes.length > 0) {
+                const sealed = await Promise.all(writes.map(record => this._protect(record)));
+                await this._writeAll({ [STORE_USERS]: sealed });
+            }
+
+            return { success: true, count: dryRun ? 0 : writes.length, dryRun, mode, report, summary };
         } catch (error) {
-            return { success: false, error: error.message };
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                report: error.report || [],
+                summary: error.summary || null
+            };
         }
     }
 
     /**
-     * 下载 JSON 文件
+     * 对导入记录逐条比对，生成报告和待写入的记录
+     */
+    _planImport(records, existing, mode) {
+        const report = [];
+        const writes = [];
+        const takenIds = new Set(existing.keys());
+
+        // 共用校验：维度、有限值、范数、重复 id、name 类型
+        const { errors } = new DescriptorValidator().validateUsers(records);
+        const errorsByIndex = new Map();
+        errors.forEach(error => {
+            if (!errorsByIndex.has(error.index)) errorsByIndex.set(error.index, []);
+            errorsByIndex.get(error.index).push(error);
+        });
+
+        records.forEach((record, index) => {
+            const entry = {
+                index,
+                id: record && typeof record === 'object' ? record.id : undefined,
+                name: record && typeof record === 'object' ? record.name : undefined,
+                status: ImportStatus.NEW,
+                action: 'add',
+                targetId: record && typeof record === 'object' ? record.id : undefined,
+                reason: null
+            };
+            report.push(entry);
+
+            if (errorsByIndex.has(index)) {
+                entry.status = ImportStatus.INVALID;
+                entry.action = 'reject';
+                entry.errors = errorsByIndex.get(index);
+                entry.reason = entry.errors.map(e => (e.field ? `${e.field}: ` : '') + e.message).join('; ');
+                return;
+            }
+
+            const incoming = {
+                userId: record.id,
+                name: record.name,
+                descriptors: record.descriptors.map(d => new Float32Array(d)),
+                meanDescriptor: record.meanDescriptor ? new Float32Array(record.meanDescriptor) : null,
+                registeredAt: record.registeredAt || Date.now()
+            };
+            if (typeof record.matchThreshold === 'number') {
+                incoming.matchThreshold = record.matchThreshold;
+                incoming.thresholdMetric = record.thresholdMetric || 'euclidean';
+            }
+            const current = existing.get(record.id);
+
+            if (!current) {
+                writes.push(this._toStoredRecord(incoming));
+                takenIds.add(record.id);
+                return;
+            }
+
+            if (this._isSameUser(current, incoming)) {
+                entry.status = ImportStatus.IDENTICAL;
+                entry.action = 'skip';
+                return;
+            }
+
+            entry.status = ImportStatus.CHANGED;
+            entry.reason = this._describeChange(current, incoming);
+
+            if (mode === IMPORT_MODES.SKIP) {
+                entry.action = 'skip';
+            } else if (mode === IMPORT_MODES.OVERWRITE) {
+                entry.action = 'overwrite';
+                writes.push(this._toStoredRecord(incoming));
+            } else if (mode === IMPORT_MODES.MERGE) {
+                entry.action = 'merge';
+                writes.push(this._toStoredRecord(this._mergeUsers(current, incoming)));
+            } else if (mode === IMPORT_MODES.RENAME) {
+                let suffix = 2;
+                while (takenIds.has(`${record.id}_${suffix}`)) suffix++;
+                entry.action = 'rename';
+                entry.targetId = `${record.id}_${suffix}`;
+                takenIds.add(entry.targetId);
+                writes.push(this._toStoredRecord({ ...incoming, userId: entry.targetId }));
+            }
+        });
+
+        return { report, writes };
+    }
+
+    _toStoredRecord(user) {
+        return {
+            ...user,
+            frameCount: user.descriptors.length,
+            schemaVersion: DB_VERSION
+        };
+    }
+
+    /**
+     * 判断两条用户记录是否完全相同（名称和所有特征向量）
+     */
+    _isSameUser(a, b) {
+        if (a.name !== b.name) return false;
+        if (a.descriptors.length !== b.descriptors.length) return false;
+        if (!a.meanDescriptor !== !b.meanDescriptor) return false;
+        if (a.meanDescriptor && !this._sameVector(a.meanDescriptor, b.meanDescriptor)) return false;
+        return a.descriptors.every((d, i) => this._sameVector(d, b.descriptors[i]));
+    }
+
+    _sameVector(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (Math.fround(a[i]) !== Math.fround(b[i])) return false;
+        }
+        return true;
+    }
+
+    _describeChange(current, incoming) {
+        const changes = [];
+        if (current.name !== incoming.name) {
+            changes.push(`name "${current.name}" → "${incoming.name}"`);
+        }
+        if (current.descriptors.length !== incoming.descriptors.length) {
+            changes.push(`descriptors ${current.descriptors.length} → ${incoming.descriptors.length}`);
+        } else {
+            changes.push('descriptor values differ');
+        }
+        return changes.join(', ');
+    }
+
+    /**
+     * 合并两条记录的特征向量（去重），并按 current 的 aggregation 重新计算平均特征向量，
+     * current 有个人阈值时按其规则重新计算（incoming 的阈值基于另一组特征，不沿用）
+     * 每帧的质量评估（captureQuality）与特征向量保持对应，缺少的记为 null
+     */
+    _mergeUsers(current, incoming) {
+        const descriptors = [...current.descriptors];
+        const quality = current.descriptors.map((_, i) => this._qualityAt(current, i));
+        incoming.descriptors.forEach((d, i) => {
+            if (!descriptors.some(existing => this._sameVector(existing, d))) {
+                descriptors.push(d);
+                quality.push(this._qualityAt(incoming, i));
+            }
+        });
+
+        const merged = {
+            ...FaceTemplate.rebuild(current, descriptors),
+            name: incoming.name || current.name
+        };
+        if (quality.some(q => q !== null)) {
+            merged.captureQuality = quality;
+        }
+        return merged;
+    }
+
+    _qualityAt(user, index) {
+        return (user.captureQuality && user.captureQuality[index]) || null;
+    }
+
+    /**
+     * 导出为 .fdb 二进制格式
+     * @param {Object} options
+     * @param {string} [options.precision] - 'float32' | 'float16' | 'int8'
+     * @param {Array<string>} [options.userIds] - 只导出指定用户（默认全部）
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async exportToBinary(options = {}) {
+        let users = await this.getAllUsers();
+        if (options.userIds) {
+            users = users.filter(u => options.userIds.includes(u.userId));
+        }
+
+        return DescriptorCodec.encode(users.map(user => this.toExportRecord(user)), options);
+    }
+
+    /**
+     * 下载 .fdb 二进制文件
+     */
+    async downloadBinary(filename = 'face_registrations.fdb', options = {}) {
+        const buffer = await this.exportToBinary(options);
+        this._downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), filename);
+    }
+
+    /**
+     * 下载 JSON 文件（旧格式）
      */
     async downloadJSON(filename = 'face_registrations.json') {
-        const jsonData = await this.exportToJSON();
-        const blob = new Blob([jsonData], { type: 'application/json' });
+        this._downloadText(await this.exportToJSON(), filename);
+    }
+
+    /**
+     * 下载导出包
+     */
+    async downloadBundle(filename = 'face_registrations.json', options = {}) {
+        this._downloadText(await this.exportBundle(options), filename);
+    }
+
+    _downloadText(text, filename) {
+        this._downloadBlob(new Blob([text], { type: 'application/json' }), filename);
+    }
+
+    _downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
 
         const link = document.createElement('a');
@@ -0,0 +1,215 @@
+/**
+ * FaceTemplate.js
+ * -----------------
+ * 用户模板的平均特征和个人阈值 - 注册、模板自适应更新、回滚和合并共用同一套计算
+ *
+ * 聚合方式（aggregation）：
+ * - mean：算术平均
+ * - trimmed_mean：逐维排序后去掉两端各 trimRatio 再平均
+ * - geometric_median：到各特征欧氏距离之和最小的点（Weiszfeld 迭代）
+ * normalize 时聚合结果再做 L2 归一化
+ *
+ * 注册时使用的方式记录在用户记录的 aggregation 字段（{ method, normalized, trimRatio }），
+ * 之后特征向量改变时（FaceStorage.updateTemplate / revertTemplate / 合并）用 rebuild 按同一方式重新计算；
+ * 没有该字段的旧记录按算术平均处理
+ *
+ * 个人阈值（matchThreshold）= 各特征到平均特征的等效欧氏距离的 thresholdPercentile 分位数 × thresholdSpreadScale，
+ * 换算到 thresholdMetric；分布和规则参数记录在 enrollmentSpread（{ mean, percentile, max, quantile, scale }）中，
+ * 特征向量改变后 rebuild 按同一规则重新计算，使阈值与当前模板的离散程度一致
+ *
+ * 依赖 DistanceMetrics.js
+ */
+
+// 平均特征的聚合方式
+const TemplateAggregation = {
+    MEAN: 'mean',                           // 算术平均
+    TRIMMED_MEAN: 'trimmed_mean',           // 逐维去掉两端 trimRatio 后平均
+    GEOMETRIC_MEDIAN: 'geometric_median'    // 到各特征欧氏距离之和最小的点（Weiszfeld 迭代）
+};
+
+const TEMPLATE_DEFAULTS = {
+    aggregation: TemplateAggregation.MEAN,  // 聚合方式（见 TemplateAggregation）
+    trimRatio: 0.1,                         // trimmed_mean 时每一维两端各去掉的比例
+    normalize: false,                       // 聚合结果做 L2 归一化
+    distanceMetric: 'euclidean',            // 个人阈值的度量（记录为 thresholdMetric）
+    thresholdPercentile: 0.95,              // 个人阈值：取特征到平均特征距离的此分位数
+    thresholdSpreadScale: 2.0               // 个人阈值 = 分位数距离 × 此系数，再换算到 distanceMetric
+};
+
+class FaceTemplate {
+    /**
+     * 计算平均特征：按 aggregation 聚合，normalize 时做 L2 归一化
+     * @param {Array<Float32Array>} descriptors
+     * @param {Object} options - { aggregation, trimRatio, normalize }
+     * @returns {Float32Array|null}
+     */
+    static build(descriptors, options = {}) {
+        const { normalize } = { ...TEMPLATE_DEFAULTS, ...options };
+        const center = FaceTemplate.aggregate(descriptors, options);
+        return center && normalize ? DistanceMetrics.normalize(center) : center;
+    }
+
+    /**
+     * 按 aggregation 计算中心特征（不归一化）
+     */
+    static aggregate(descriptors, options = {}) {
+        const { aggregation, trimRatio } = { ...TEMPLATE_DEFAULTS, ...options };
+
+        switch (aggregation) {
+            case TemplateAggregation.TRIMMED_MEAN:
+                return FaceTemplate.trimmedMean(descriptors, trimRatio);
+            case TemplateAggregation.GEOMETRIC_MEDIAN:
+                return FaceTemplate.geometricMedian(descriptors);
+            default:
+                return DistanceMetrics.mean(descriptors);
+        }
+    }
+
+    /**
+     * 逐维截尾平均：每一维排序后去掉两端各 trimRatio 再平均
+     */
+    static trimmedMean(descriptors, trimRatio = TEMPLATE_DEFAULTS.trimRatio) {
+        if (!descriptors || descriptors.length === 0) return null;
+
+        const len = descriptors[0].length;
+        const trim = Math.min(
+            Math.floor(descriptors.length * trimRatio),
+            Math.floor((descriptors.length - 1) / 2)
+        );
+        const mean = new Float32Array(len);
+        const column = new Float32Array(descriptors.length);
+
+        for (let i = 0; i < len; i++) {
+            descriptors.forEach((desc, j) => {
+                column[j] = desc[i];
+            });
+            column.sort();
+
+            let sum = 0;
+            for (let j = trim; j < descriptors.length - trim; j++) {
+                sum += column[j];
+            }
+            mean[i] = sum / (descriptors.length - 2 * trim);
+        }
+
+        return mean;
+    }
+
+    /**
+     * 几何中位数（Weiszfeld 迭代，从算术平均开始）
+     */
+    static geometricMedian(descriptors, maxIterations = 50, tolerance = 1e-6) {
+        let median = DistanceMetrics.mean(descriptors);
+        if (!median) return null;
+
+        const len = median.length;
+        for (let iter = 0; iter < maxIterations; iter++) {
+            const next = new Float32Array(len);
+            let weightSum = 0;
+
+            for (const desc of descriptors) {
+                let dist = 0;
+                for (let i = 0; i < len; i++) {
+                    dist += (desc[i] - median[i]) ** 2;
+                }
+                // 与某个特征重合时该点即为（近似）解
+                const weight = 1 / Math.max(Math.sqrt(dist), 1e-9);
+                for (let i = 0; i < len; i++) {
+                    next[i] += desc[i] * weight;
+                }
+                weightSum += weight;
+            }
+
+            let shift = 0;
+            for (let i = 0; i < len; i++) {
+                next[i] /= weightSum;
+                shift += (next[i] - median[i]) ** 2;
+            }
+            median = next;
+            if (Math.sqrt(shift) < tolerance) break;
+        }
+
+        return median;
+    }
+
+    /**
+     * 计算个人匹配阈值
+     * 特征越分散（表情、光照变化大），阈值越宽松；越集中则越严格
+     * 分布统计为等效欧氏距离，返回的阈值换算到 distanceMetric
+     * @param {Object} options - { distanceMetric, thresholdPercentile, thresholdSpreadScale }
+     * @returns {{ threshold: number, spread: { mean, percentile, max, quantile, scale } }}
+     */
+    static personalThreshold(descriptors, meanDescriptor, options = {}) {
+        const { distanceMetric, thresholdPercentile, thresholdSpreadScale } = { ...TEMPLATE_DEFAULTS, ...options };
+        const distances = descriptors
+            .map(desc => DistanceMetrics.toEuclidean(DistanceMetrics.distance(desc, meanDescriptor, distanceMetric), distanceMetric))
+            .sort((a, b) => a - b);
+
+        const index = Math.min(distances.length - 1, Math.ceil(thresholdPercentile * distances.length) - 1);
+        const spread = {
+            mean: distances.reduce((sum, d) => sum + d, 0) / distances.length,
+            percentile: distances[Math.max(0, index)],
+            max: distances[distances.length - 1],
+            quantile: thresholdPercentile,
+            scale: thresholdSpreadScale
+        };
+
+        return {
+            threshold: DistanceMetrics.fromEuclidean(spread.percentile * thresholdSpreadScale, distanceMetric),
+            spread
+        };
+    }
+
+    /**
+     * 计算选项 → 用户记录的 aggregation 字段
+     */
+    static describe(options = {}) {
+        const { aggregation, trimRatio, normalize } = { ...TEMPLATE_DEFAULTS, ...options };
+        return { method: aggregation, normalized: !!normalize, trimRatio };
+    }
+
+    /**
+     * 用户记录 → 计算选项（没有 aggregation 字段的旧记录为算术平均，没有规则参数时用默认值）
+     */
+    static optionsOf(record) {
+        const aggregation = (record && record.aggregation) || {};
+        const spread = (record && record.enrollmentSpread) || {};
+        return {
+            aggregation: aggregation.method || TemplateAggregation.MEAN,
+            trimRatio: aggregation.trimRatio ?? TEMPLATE_DEFAULTS.trimRatio,
+            normalize: !!aggregation.normalized,
+            distanceMetric: (record && record.thresholdMetric) || TEMPLATE_DEFAULTS.distanceMetric,
+            thresholdPercentile: spread.quantile ?? TEMPLATE_DEFAULTS.thresholdPercentile,
+            thresholdSpreadScale: spread.scale ?? TEMPLATE_DEFAULTS.thresholdSpreadScale
+        };
+    }
+
+    /**
+     * 特征向量改变后按记录原来的方式重新计算平均特征，有个人阈值时按同一规则重新计算阈值
+     * @param {Object} record - 用户记录
+     * @param {Array<Float32Array>} descriptors - 新的特征向量
+     * @returns {Object} 新记录（descriptors、meanDescriptor、aggregation，以及 matchThreshold、enrollmentSpread 已更新）
+     */
+    static rebuild(record, descriptors) {
+        const options = FaceTemplate.optionsOf(record);
+        const rebuilt = {
+            ...record,
+            descriptors,
+            meanDescriptor: FaceTemplate.build(descriptors, options),
+            aggregation: FaceTemplate.describe(options)
+        };
+
+        if (typeof record.matchThreshold === 'number') {
+            const adaptive = FaceTemplate.personalThreshold(descriptors, rebuilt.meanDescriptor, options);
+            rebuilt.matchThreshold = adaptive.threshold;
+            rebuilt.thresholdMetric = options.distanceMetric;
+            rebuilt.enrollmentSpread = adaptive.spread;
+        }
+        return rebuilt;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FaceTemplate, TemplateAggregation, TEMPLATE_DEFAULTS };
+}
@@ -0,0 +1,106 @@
+/**
+ * GalleryAudit.js
+ * -----------------
+ * 用户库审计 - 找出同一人用不同 userId 重复注册，以及长相过于相似、容易互相误识的用户
+ *
+ * 原理：
+ * - 用每个用户的平均特征向量构建 FaceMatcher（useMeanDescriptor），再逐个用平均特征向量查询最近的其他用户
+ * - 距离低于 duplicateThreshold：疑似重复注册（duplicate）
+ * - 距离低于 lookAlikeThreshold：长相相似（look_alike），验证时容易误识或被判为 AMBIGUOUS
+ *
+ * 阈值以欧氏距离给出，按所选度量换算（与设置页的阈值一致）
+ *
+ * 依赖 FaceMatcher.js、DistanceMetrics.js
+ */
+
+// 审计结果类型
+const AuditFinding = {
+    DUPLICATE: 'duplicate',
+    LOOK_ALIKE: 'look_alike'
+};
+
+const AUDIT_DEFAULTS = {
+    distanceMetric: 'euclidean',    // 与 FaceMatcher 的 distanceMetric 一致
+    duplicateThreshold: 0.3,        // 平均特征向量的欧氏距离低于此值视为重复注册
+    lookAlikeThreshold: 0.5,        // 平均特征向量的欧氏距离低于此值视为长相相似
+    maxNeighbors: 10                // 每个用户最多检查的最近邻数量
+};
+
+class GalleryAudit {
+    constructor(config = {}) {
+        this.config = { ...AUDIT_DEFAULTS, ...config };
+    }
+
+    /**
+     * 审计用户库
+     * @param {Array} users - [{ id, name, descriptors, meanDescriptor }]
+     * @returns {Object} { users, pairs: [{ kind, a, b, distance, euclideanDistance, sameName }], duplicates, lookAlikes, skipped }
+     */
+    audit(users) {
+        const { distanceMetric, duplicateThreshold, lookAlikeThreshold, maxNeighbors } = this.config;
+        const duplicateLimit = DistanceMetrics.fromEuclidean(duplicateThreshold, distanceMetric);
+        const lookAlikeLimit = DistanceMetrics.fromEuclidean(lookAlikeThreshold, distanceMetric);
+
+        // 没有平均特征向量的记录（旧数据）现场计算
+        const gallery = users.map(user => ({
+            ...user,
+            meanDescriptor: user.meanDescriptor || DistanceMetrics.mean(user.descriptors || [])
+        }));
+
+        const matcher = new FaceMatcher({ distanceMetric, useMeanDescriptor: true, logMatches: false });
+        const load = matcher.loadFromData(gallery);
+        if (!load.success) {
+            throw new Error(load.error);
+        }
+
+        const byId = new Map();
+        gallery.forEach(user => {
+            if (!byId.has(user.id)) byId.set(user.id, user);
+        });
+
+        const pairs = [];
+        const seen = new Set();
+
+        matcher.getRegisteredUsers().forEach(user => {
+            const query = byId.get(user.id).meanDescriptor;
+
+            matcher.findTopMatches(query, maxNeighbors + 1).forEach(match => {
+                if (match.user.id === user.id || match.distance >= lookAlikeLimit) return;
+
+                const key = [user.id, match.user.id].sort().join('\u0000');
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                pairs.push({
+                    kind: match.distance < duplicateLimit ? AuditFinding.DUPLICATE : AuditFinding.LOOK_ALIKE,
+                    a: user,
+                    b: match.user,
+                    distance: match.distance,
+                    euclideanDistance: DistanceMetrics.toEuclidean(match.distance, distanceMetric),
+                    sameName: GalleryAudit._normalizeName(user.name) === GalleryAudit._normalizeName(match.user.name)
+                });
+            });
+        });
+
+        pairs.sort((x, y) => x.distance - y.distance);
+
+        return {
+            users: matcher.getUserCount(),
+            pairs,
+            duplicates: pairs.filter(p => p.kind === AuditFinding.DUPLICATE).length,
+            lookAlikes: pairs.filter(p => p.kind === AuditFinding.LOOK_ALIKE).length,
+            skipped: load.skipped
+        };
+    }
+
+    // ========== 工具方法 ==========
+
+    static _normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryAudit, AuditFinding, AUDIT_DEFAULTS };
+}
@@ -0,0 +1,336 @@
+/**
+ * GalleryEvaluator.js
+ * ---------------------
+ * 离线 FAR / FRR 评估 - 在本地用户库（或导入的带标签数据）上衡量当前阈值的效果
+ *
+ * 留一法：每个探针特征向量从所属用户中临时移除（FaceMatcher.updateUser），
+ * 再用 findTopMatches 与所有用户比对，比对方式与实际验证完全一致（度量、平均特征向量）
+ * - 真实比对（genuine）：探针与所属用户其余特征向量的距离
+ * - 冒认比对（impostor）：探针与每个其他用户的距离
+ *
+ * 输出：
+ * - ROC / DET 曲线（每个阈值的 FAR、FRR、TAR）
+ * - 等错误率（EER）及其阈值
+ * - 当前 matchThreshold 下的 FAR / FRR，以及 1:N 识别时的误识率（探针与任意其他用户的距离低于阈值）
+ * - 推荐阈值：FAR 不超过 targetFalseAcceptRate 的最大阈值
+ *
+ * 依赖 FaceMatcher.js、DistanceMetrics.js、CoreUtils.js
+ */
+
+const EVALUATION_DEFAULTS = {
+    distanceMetric: 'euclidean',    // 与 FaceMatcher 的 distanceMetric 一致
+    useMeanDescriptor: true,        // 与 FaceMatcher 的 useMeanDescriptor 一致
+    matchThreshold: null,           // 当前阈值（所选度量下，null = FaceMatcher 默认值）
+    targetFalseAcceptRate: 0.001,   // 推荐阈值的目标误识率
+    maxProbes: 2000,                // 探针数量上限（超过时按固定种子抽样）
+    maxCurvePoints: 200,            // 曲线在 FAR / FRR 方向上的大致点数
+    minGenuine: 10,                 // 最少真实比对数
+    minImpostor: 10,                // 最少冒认比对数
+    yieldEvery: 50,                 // 每处理多少个探针让出一次主线程
+    seed: 20240601                  // 抽样随机种子（结果可复现）
+};
+
+class GalleryEvaluator {
+    constructor(config = {}) {
+        this.config = { ...EVALUATION_DEFAULTS, ...config };
+
+        // 回调
+        this.onProgress = null;     // ({ done, total }) => void
+    }
+
+    /**
+     * 运行评估
+     * @param {Array} users - [{ id, name, descriptors, meanDescriptor }]
+     * @returns {Promise<Object>} 评估报告（见 analyze）
+     */
+    async evaluate(users) {
+        const { distanceMetric, useMeanDescriptor, matchThreshold, yieldEvery } = this.config;
+
+        const matcher = new FaceMatcher({
+            distanceMetric,
+            useMeanDescriptor,
+            matchThreshold,
+            logMatches: false
+        });
+        const load = matcher.loadFromData(users);
+        if (!load.success) {
+            throw new Error(load.error);
+        }
+
+        // 只评估通过校验的用户（重复 id 取第一条）
+        const accepted = new Set(matcher.getRegisteredUsers().map(u => u.id));
+        const gallery = [];
+        users.forEach(user => {
+            if (user && accepted.delete(user.id)) gallery.push(user);
+        });
+
+        const probes = this._selectProbes(gallery);
+        const userCount = matcher.getUserCount();
+        const genuine = [];
+        const impostor = [];
+        const nearestImpostor = [];
+        let rank1 = 0;
+
+        for (let p = 0; p < probes.length; p++) {
+            if (p % yieldEvery === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.onProgress) {
+                    this.onProgress({ done: p, total: probes.length });
+                }
+            }
+
+            const { user, index } = probes[p];
+            const descriptor = user.descriptors[index];
+
+            // 留一法：临时移除探针（注册时的平均值包含探针本身，必须重新计算）
+            const others = user.descriptors.filter((_, j) => j !== index);
+            const leaveOneOut = others.length > 0;
+            if (leaveOneOut) {
+                matcher.updateUser({ ...user, descriptors: others, meanDescriptor: DistanceMetrics.mean(others) });
+            }
+
+            const matches = matcher.findTopMatches(descriptor, userCount);
+
+            if (leaveOneOut) {
+                matcher.updateUser(user);
+                if (matches.length > 0 && matches[0].user.id === user.id) rank1++;
+            }
+
+            let nearest = Infinity;
+            matches.forEach(match => {
+                if (match.user.id === user.id) {
+                    if (leaveOneOut) genuine.push(match.distance);
+                } else {
+                    impostor.push(match.distance);
+                    nearest = Math.min(nearest, match.distance);
+                }
+            });
+            if (nearest < Infinity) nearestImpostor.push(nearest);
+        }
+
+        if (this.onProgress) {
+            this.onProgress({ done: probes.length, total: probes.length });
+        }
+
+        const report = GalleryEvaluator.analyze(genuine, impostor, {
+            ...this.config,
+            matchThreshold: matcher.config.matchThreshold,
+            nearestImpostor
+        });
+
+        return {
+            ...report,
+            users: gallery.length,
+            skippedUsers: load.skipped,
+            probes: probes.length,
+            rank1Rate: genuine.length > 0 ? rank1 / genuine.length : null
+        };
+    }
+
+    /**
+     * 探针列表：所有特征向量，超过 maxProbes 时按固定种子无放回抽样
+     */
+    _selectProbes(gallery) {
+        const probes = [];
+        gallery.forEach(user => user.descriptors.forEach((_, index) => probes.push({ user, index })));
+
+        const { maxProbes, seed } = this.config;
+        if (probes.length <= maxProbes) return probes;
+
+        const random = CoreUtils.seededRandom(seed);
+        for (let i = 0; i < maxProbes; i++) {
+            const j = i + Math.floor(random() * (probes.length - i));
+            [probes[i], probes[j]] = [probes[j], probes[i]];
+        }
+        return probes.slice(0, maxProbes);
+    }
+
+    // ========== 分析 ==========
+
+    /**
+     * 由真实 / 冒认距离计算曲线和指标（距离小于阈值视为接受，与 FaceMatcher 一致）
+     * @param {Array<number>} genuine - 真实比对距离
+     * @param {Array<number>} impostor - 冒认比对距离
+     * @param {Object} config - 见 EVALUATION_DEFAULTS；nearestImpostor 为每个探针的最近冒认距离（可选）
+     */
+    static analyze(genuine, impostor, config = {}) {
+        const options = { ...EVALUATION_DEFAULTS, ...config };
+
+        if (genuine.length < options.minGenuine || impostor.length < options.minImpostor) {
+            const error = new Error(
+                `Not enough comparisons to evaluate: ${genuine.length} genuine (need ${options.minGenuine}), ` +
+                `${impostor.length} impostor (need ${options.minImpostor}). Register more users or more captures per user.`
+            );
+            error.code = 'insufficient_samples';
+            throw error;
+        }
+
+        const metric = options.distanceMetric;
+        const g = Float64Array.from(genuine).sort();
+        const i = Float64Array.from(impostor).sort();
+        const nearest = options.nearestImpostor ? Float64Array.from(options.nearestImpostor).sort() : null;
+        const matchThreshold = options.matchThreshold || DistanceMetrics.fromEuclidean(0.6, metric);
+
+        const rates = (threshold) => ({
+            threshold,
+            euclideanThreshold: DistanceMetrics.toEuclidean(threshold, metric),
+            far: GalleryEvaluator._countBelow(i, threshold) / i.length,
+            frr: 1 - GalleryEvaluator._countBelow(g, threshold) / g.length,
+            identificationFar: nearest ? GalleryEvaluator._countBelow(nearest, threshold) / nearest.length : null
+        });
+
+        const { curve, eer } = GalleryEvaluator._sweep(g, i, options.maxCurvePoints);
+
+        // 推荐阈值：冒认距离升序第 k 个（k = ⌊目标 FAR × 冒认数⌋），低于它的冒认比对不超过 k 个
+        const k = Math.floor(options.targetFalseAcceptRate * i.length);
+        const recommended = rates(k < i.length ? i[k] : curve[curve.length - 1].threshold);
+
+        return {
+            createdAt: Date.now(),
+            distanceMetric: metric,
+            useMeanDescriptor: options.useMeanDescriptor,
+            genuineCount: g.length,
+            impostorCount: i.length,
+            genuineMean: GalleryEvaluator._average(g),
+            impostorMean: GalleryEvaluator._average(i),
+            // 冒认比对数量决定了能测量的最小 FAR
+            minMeasurableFar: 1 / i.length,
+            atThreshold: rates(matchThreshold),
+            eer: { ...eer, euclideanThreshold: DistanceMetrics.toEuclidean(eer.threshold, metric) },
+            recommended: { ...recommended, targetFalseAcceptRate: options.targetFalseAcceptRate },
+            curve
+        };
+    }
+
+    /**
+     * 按升序扫描所有不同的距离作为阈值
+     * 保留 FAR、FRR 变化超过 1 / maxCurvePoints 或 FAR 数量级变化超过 0.05 的点（DET 曲线使用对数坐标）
+     * @returns {{ curve: Array<{ threshold, far, frr, tar }>, eer: { rate, threshold } }}
+     */
+    static _sweep(g, i, maxCurvePoints) {
+        const step = 1 / maxCurvePoints;
+        const curve = [];
+        let eer = null;
+        let previous = null;
+        let last = null;
+        let gi = 0;
+        let ii = 0;
+
+        const visit = (threshold, isEnd) => {
+            const far = ii / i.length;
+            const frr = 1 - gi / g.length;
+            const point = { threshold, far, frr, tar: 1 - frr };
+
+            // FAR - FRR 随阈值单调递增，第一次变为非负时在两点之间线性插值
+            if (!eer && far >= frr) {
+                if (previous) {
+                    const before = previous.far - previous.frr;
+                    const t = -before / ((far - frr) - before);
+                    eer = {
+                        rate: (previous.far + t * (far - previous.far) + previous.frr + t * (frr - previous.frr)) / 2,
+                        threshold: previous.threshold + t * (threshold - previous.threshold)
+                    };
+                } else {
+                    eer = { rate: (far + frr) / 2, threshold };
+                }
+            }
+
+            const keep = !last || isEnd ||
+                Math.abs(far - last.far) >= step ||
+                Math.abs(frr - last.frr) >= step ||
+                (far > 0 && (last.far === 0 || Math.log10(far / last.far) >= 0.05));
+            if (keep) {
+                curve.push(point);
+                last = point;
+            }
+            previous = point;
+        };
+
+        while (gi < g.length || ii < i.length) {
+            const threshold = Math.min(gi < g.length ? g[gi] : Infinity, ii < i.length ? i[ii] : Infinity);
+            visit(threshold, false);
+            while (gi < g.length && g[gi] === threshold) gi++;
+            while (ii < i.length && i[ii] === threshold) ii++;
+        }
+
+        // 大于所有距离的阈值：全部接受
+        visit(previous.threshold + 1e-6, true);
+
+        return { curve, eer };
+    }
+
+    /**
+     * 小于 value 的元素个数（sorted 升序）
+     */
+    static _countBelow(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    }
+
+    // ========== 导入 / 导出 ==========
+
+    /**
+     * 把带标签的样本 [{ label, descriptor }] 按标签分组为用户列表
+     */
+    static groupLabeled(samples) {
+        const users = new Map();
+        samples.forEach(({ label, descriptor }) => {
+            if (!users.has(label)) {
+                users.set(label, { id: label, name: label, descriptors: [] });
+            }
+            users.get(label).descriptors.push(descriptor);
+        });
+        return Array.from(users.values());
+    }
+
+    /**
+     * 将报告格式化为 CSV：先是指标（metric,value），空行后是曲线
+     */
+    static toCSV(report) {
+        const rows = [
+            ['metric', 'value'],
+            ['distance_metric', report.distanceMetric],
+            ['use_mean_descriptor', report.useMeanDescriptor],
+            ['users', report.users],
+            ['probes', report.probes],
+            ['genuine_comparisons', report.genuineCount],
+            ['impostor_comparisons', report.impostorCount],
+            ['rank1_rate', report.rank1Rate],
+            ['eer', report.eer.rate],
+            ['eer_threshold', report.eer.threshold],
+            ['match_threshold', report.atThreshold.threshold],
+            ['far_at_match_threshold', report.atThreshold.far],
+            ['frr_at_match_threshold', report.atThreshold.frr],
+            ['identification_far_at_match_threshold', report.atThreshold.identificationFar],
+            ['target_far', report.recommended.targetFalseAcceptRate],
+            ['recommended_threshold', report.recommended.threshold],
+            ['recommended_threshold_euclidean', report.recommended.euclideanThreshold],
+            ['far_at_recommended', report.recommended.far],
+            ['frr_at_recommended', report.recommended.frr],
+            [],
+            ['threshold', 'far', 'frr', 'tar'],
+            ...report.curve.map(p => [p.threshold, p.far, p.frr, p.tar])
+        ];
+        return rows.map(row => row.map(value => (value === null || value === undefined ? '' : value)).join(',')).join('\n');
+    }
+
+    // ========== 工具方法 ==========
+
+    static _average(values) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+        }
+        return sum / values.length;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryEvaluator, EVALUATION_DEFAULTS };
+}
@@ -0,0 +1,143 @@
+/**
+ * HeadPose.js
+ * -------------
+ * 头部姿态估计 - 从 face-api.js 的 68 点特征点（withFaceLandmarks）估算 yaw / pitch / roll
+ *
+ * 原理（几何近似，只用于粗分姿态区间，不是精确的 3D 姿态）：
+ * - roll：两眼中心连线的倾角
+ * - yaw：按 roll 摆正后，鼻尖到左右下颌边缘（0 / 16 号点）的水平距离之差
+ * - pitch：按 roll 摆正后，鼻尖在两眼中心和下巴（8 号点）之间的相对高度，与正脸的典型比例比较
+ *
+ * 角度单位为度。yaw > 0 表示用户向自己的左侧转头，pitch > 0 表示抬头，roll > 0 表示头向自己的左肩倾斜
+ * （均以摄像头原始画面为准，与页面上是否镜像显示无关）
+ *
+ * 依赖 CoreUtils.js
+ */
+
+// 姿态区间
+const PoseBucket = {
+    FRONTAL: 'frontal',
+    LEFT: 'left',
+    RIGHT: 'right',
+    UP: 'up',
+    DOWN: 'down'
+};
+
+const HEAD_POSE_DEFAULTS = {
+    yawThreshold: 12,           // |yaw| 超过此角度视为侧脸（left / right）
+    pitchThreshold: 12,         // |pitch| 超过此角度视为抬头 / 低头（up / down）
+    maxYaw: 45,                 // 超过此角度的侧脸特征不可靠，不归入任何区间
+    maxPitch: 35,
+    neutralNoseRatio: 0.35,     // 正脸时鼻尖在两眼中心到下巴之间的相对高度（68 点平均脸型）
+    pitchRange: 0.3             // 相对高度偏离 neutralNoseRatio 此值时约为 90°（用于换算角度）
+};
+
+// 68 点特征点的索引
+const LANDMARKS_68 = {
+    JAW_RIGHT_EDGE: 0,          // 画面左侧（用户右脸）
+    CHIN: 8,
+    JAW_LEFT_EDGE: 16,          // 画面右侧（用户左脸）
+    NOSE_TIP: 30,
+    RIGHT_EYE: [36, 37, 38, 39, 40, 41],
+    LEFT_EYE: [42, 43, 44, 45, 46, 47]
+};
+
+class HeadPose {
+    /**
+     * 估算头部姿态
+     * @param {Object|Array} landmarks - face-api.js 的 FaceLandmarks68（或其 positions 数组）
+     * @returns {Object|null} { yaw, pitch, roll }（度），特征点不足时返回 null
+     */
+    static estimate(landmarks, config = {}) {
+        const { neutralNoseRatio, pitchRange } = { ...HEAD_POSE_DEFAULTS, ...config };
+        const points = CoreUtils.landmarkPoints(landmarks);
+        if (!points || points.length < 68) return null;
+
+        const rightEye = HeadPose._center(LANDMARKS_68.RIGHT_EYE.map(i => points[i]));
+        const leftEye = HeadPose._center(LANDMARKS_68.LEFT_EYE.map(i => points[i]));
+        const eyes = HeadPose._center([rightEye, leftEye]);
+
+        // 以两眼中心为原点旋转，消除 roll 的影响
+        const angle = Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x);
+        const level = (p) => {
+            const dx = p.x - eyes.x;
+            const dy = p.y - eyes.y;
+            return {
+                x: dx * Math.cos(-angle) - dy * Math.sin(-angle),
+                y: dx * Math.sin(-angle) + dy * Math.cos(-angle)
+            };
+        };
+
+        const nose = level(points[LANDMARKS_68.NOSE_TIP]);
+        const jawRight = level(points[LANDMARKS_68.JAW_RIGHT_EDGE]);
+        const jawLeft = level(points[LANDMARKS_68.JAW_LEFT_EDGE]);
+        const chin = level(points[LANDMARKS_68.CHIN]);
+
+        const toRight = Math.abs(nose.x - jawRight.x);
+        const toLeft = Math.abs(jawLeft.x - nose.x);
+        const width = toRight + toLeft;
+        const height = chin.y;
+        if (width <= 0 || height <= 0) return null;
+
+        const yawSin = CoreUtils.clamp((toRight - toLeft) / width, -1, 1);
+        const pitchSin = CoreUtils.clamp((neutralNoseRatio - nose.y / height) / pitchRange, -1, 1);
+
+        return {
+            yaw: HeadPose._degrees(Math.asin(yawSin)),
+            pitch: HeadPose._degrees(Math.asin(pitchSin)),
+            roll: HeadPose._degrees(angle)
+        };
+    }
+
+    /**
+     * 姿态所属区间
+     * 同时超过 yaw 和 pitch 阈值时取相对阈值偏离更大的方向
+     * @returns {string|null} PoseBucket，超出 maxYaw / maxPitch 时返回 null
+     */
+    static bucketOf(pose, config = {}) {
+        if (!pose) return null;
+
+        const { yawThreshold, pitchThreshold, maxYaw, maxPitch } = { ...HEAD_POSE_DEFAULTS, ...config };
+        if (Math.abs(pose.yaw) > maxYaw || Math.abs(pose.pitch) > maxPitch) return null;
+
+        const yawScore = Math.abs(pose.yaw) / yawThreshold;
+        const pitchScore = Math.abs(pose.pitch) / pitchThreshold;
+        if (yawScore < 1 && pitchScore < 1) return PoseBucket.FRONTAL;
+
+        if (yawScore >= pitchScore) {
+            return pose.yaw > 0 ? PoseBucket.LEFT : PoseBucket.RIGHT;
+        }
+        return pose.pitch > 0 ? PoseBucket.UP : PoseBucket.DOWN;
+    }
+
+    /**
+     * 引导用户转到指定区间的提示语
+     */
+    static prompt(bucket) {
+        return {
+            [PoseBucket.FRONTAL]: 'Look straight at the camera',
+            [PoseBucket.LEFT]: 'Turn slightly left',
+            [PoseBucket.RIGHT]: 'Turn slightly right',
+            [PoseBucket.UP]: 'Tilt your head slightly up',
+            [PoseBucket.DOWN]: 'Tilt your head slightly down'
+        }[bucket] || '';
+    }
+
+    // ========== 工具方法 ==========
+
+    static _center(points) {
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+    }
+
+    static _degrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadPose, PoseBucket, HEAD_POSE_DEFAULTS, LANDMARKS_68 };
+}
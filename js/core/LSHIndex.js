@@ -0,0 +1,341 @@
+/**
+ * LSHIndex.js
+ * -------------
+ * 随机投影局部敏感哈希（LSH）- FaceMatcher 的近似最近邻索引
+ *
+ * 原理：
+ * - 每张哈希表使用 bits 个随机超平面，向量落在超平面哪一侧决定哈希码的一位
+ * - 相近的向量大概率得到相同的哈希码，查询时只对同桶的候选行计算精确距离
+ * - 多探针（probeRadius = 1）额外查询只差一位的相邻桶，用更少的表获得更高召回率
+ *
+ * 参数权衡：
+ * - tables 越多召回率越高，候选越多、越慢
+ * - bits 越多桶越小、越快，召回率越低
+ *
+ * 超平面由 seed 确定性生成，序列化时只保存 seed、中心向量和每行的哈希码
+ * 支持增量添加 / 删除行（FaceMatcher.addUser / removeUser），中心向量保持构建时的值
+ *
+ * 依赖 CoreUtils.js
+ */
+
+const LSH_FORMAT_VERSION = 2;
+
+const LSH_DEFAULTS = {
+    tables: 8,          // 哈希表数量
+    bits: 12,           // 每张表的哈希位数（最多 30）
+    probeRadius: 1,     // 0 = 只查询同桶，1 = 同时查询汉明距离为 1 的相邻桶
+    seed: 1234567       // 随机超平面种子
+};
+
+// 召回率 / 速度预设（settings.html 的 Approximate Search 选项）
+const LSH_PRESETS = {
+    recall: { tables: 12, bits: 10, probeRadius: 1 },
+    balanced: { tables: 8, bits: 12, probeRadius: 1 },
+    speed: { tables: 4, bits: 12, probeRadius: 1 }
+};
+
+class LSHIndex {
+    constructor(config = {}) {
+        this.config = { ...LSH_DEFAULTS, ...config };
+
+        if (this.config.bits < 1 || this.config.bits > 30) {
+            throw new Error(`LSHIndex: bits must be between 1 and 30, got ${this.config.bits}`);
+        }
+
+        this.dim = 0;
+        this.count = 0;
+        this.mean = null;       // 中心向量（人脸特征向量不以原点为中心）
+        this.planes = null;     // Float32Array(tables * bits * dim)
+        this.codes = null;      // Uint32Array(count * tables)，第 row 行在第 t 张表的哈希码为 codes[row * tables + t]
+        this.buckets = [];      // 每张表一个 Map<code, number[]>
+
+        // 查询去重
+        this._visited = null;
+        this._visitStamp = 0;
+    }
+
+    // ========== 构建 ==========
+
+    /**
+     * 从特征矩阵构建索引
+     * @param {Float32Array} matrix - 连续特征矩阵（count × dim）
+     * @param {number} count - 行数
+     * @param {number} dim - 维度
+     */
+    build(matrix, count, dim) {
+        const { tables } = this.config;
+
+        this.dim = dim;
+        this.count = count;
+        this.mean = LSHIndex._meanRow(matrix, count, dim);
+        this.planes = LSHIndex._randomPlanes(this.config, dim);
+        this.codes = new Uint32Array(count * tables);
+
+        const centered = new Float32Array(dim);
+        for (let row = 0; row < count; row++) {
+            this._center(matrix, row * dim, centered);
+            for (let t = 0; t < tables; t++) {
+                this.codes[row * tables + t] = this._hash(centered, t);
+            }
+        }
+
+        this._buildBuckets();
+        return this;
+    }
+
+    _buildBuckets() {
+        const { tables } = this.config;
+        this.buckets = [];
+
+        for (let t = 0; t < tables; t++) {
+            const bucket = new Map();
+            for (let row = 0; row < this.count; row++) {
+                const code = this.codes[row * tables + t];
+                const list = bucket.get(code);
+                if (list) {
+                    list.push(row);
+                } else {
+                    bucket.set(code, [row]);
+                }
+            }
+            this.buckets.push(bucket);
+        }
+
+        this._visited = new Uint32Array(this.count);
+        this._visitStamp = 0;
+    }
+
+    // ========== 增量更新 ==========
+
+    /**
+     * 添加一行
+     * @param {ArrayLike<number>} vector - 特征向量
+     * @param {number} row - 行号（FaceMatcher 矩阵中的行）
+     */
+    add(vector, row) {
+        const { tables } = this.config;
+        this._ensureCapacity(row + 1);
+
+        const centered = new Float32Array(this.dim);
+        this._center(vector, 0, centered);
+
+        for (let t = 0; t < tables; t++) {
+            const code = this._hash(centered, t);
+            this.codes[row * tables + t] = code;
+
+            const list = this.buckets[t].get(code);
+            if (list) {
+                list.push(row);
+            } else {
+                this.buckets[t].set(code, [row]);
+            }
+        }
+
+        this.count = Math.max(this.count, row + 1);
+    }
+
+    /**
+     * 从桶中移除一行（行号保留，直到 compact）
+     */
+    remove(row) {
+        const { tables } = this.config;
+
+        for (let t = 0; t < tables; t++) {
+            const code = this.codes[row * tables + t];
+            const list = this.buckets[t].get(code);
+            if (!list) continue;
+
+            const i = list.indexOf(row);
+            if (i >= 0) list.splice(i, 1);
+            if (list.length === 0) this.buckets[t].delete(code);
+        }
+    }
+
+    /**
+     * 与 FaceMatcher 矩阵压缩保持一致：只保留 keep 中的行，并按新顺序重新编号
+     * @param {Array<number>} keep - 保留的旧行号（新行号为其下标）
+     */
+    compact(keep) {
+        const { tables } = this.config;
+        const codes = new Uint32Array(keep.length * tables);
+
+        keep.forEach((oldRow, newRow) => {
+            codes.set(this.codes.subarray(oldRow * tables, (oldRow + 1) * tables), newRow * tables);
+        });
+
+        this.codes = codes;
+        this.count = keep.length;
+        this._buildBuckets();
+    }
+
+    _ensureCapacity(rows) {
+        const { tables } = this.config;
+        if (rows * tables <= this.codes.length) return;
+
+        const capacity = Math.max(rows, this.codes.length / tables * 2, 16);
+        const codes = new Uint32Array(capacity * tables);
+        codes.set(this.codes);
+        this.codes = codes;
+
+        const visited = new Uint32Array(capacity);
+        visited.set(this._visited);
+        this._visited = visited;
+    }
+
+    // ========== 查询 ==========
+
+    /**
+     * 查询候选行
+     * @param {ArrayLike<number>} vector - 查询向量
+     * @returns {Array<number>} 去重后的候选行号
+     */
+    query(vector) {
+        const { tables, bits, probeRadius } = this.config;
+        const centered = new Float32Array(this.dim);
+        this._center(vector, 0, centered);
+
+        // 每次查询使用新的标记值，避免清空 visited 数组
+        this._visitStamp++;
+        if (this._visitStamp === 0xffffffff) {
+            this._visited.fill(0);
+            this._visitStamp = 1;
+        }
+        const stamp = this._visitStamp;
+        const candidates = [];
+
+        const collect = (bucket, code) => {
+            const rows = bucket.get(code);
+            if (!rows) return;
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                if (this._visited[row] !== stamp) {
+                    this._visited[row] = stamp;
+                    candidates.push(row);
+                }
+            }
+        };
+
+        for (let t = 0; t < tables; t++) {
+            const bucket = this.buckets[t];
+            const code = this._hash(centered, t);
+
+            collect(bucket, code);
+            if (probeRadius > 0) {
+                for (let b = 0; b < bits; b++) {
+                    collect(bucket, code ^ (1 << b));
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    _hash(centered, table) {
+        const { bits } = this.config;
+        const dim = this.dim;
+        let code = 0;
+
+        for (let b = 0; b < bits; b++) {
+            const offset = (table * bits + b) * dim;
+            let dot = 0;
+            for (let i = 0; i < dim; i++) {
+                dot += centered[i] * this.planes[offset + i];
+            }
+            if (dot > 0) code |= (1 << b);
+        }
+
+        return code >>> 0;
+    }
+
+    _center(source, offset, target) {
+        for (let i = 0; i < this.dim; i++) {
+            target[i] = source[offset + i] - this.mean[i];
+        }
+    }
+
+    // ========== 序列化 ==========
+
+    /**
+     * 序列化为可存入 IndexedDB 的对象（超平面由 seed 重新生成，不保存）
+     */
+    serialize() {
+        return {
+            formatVersion: LSH_FORMAT_VERSION,
+            config: { ...this.config },
+            dim: this.dim,
+            count: this.count,
+            mean: this.mean.buffer.slice(0),
+            codes: this.codes.slice(0, this.count * this.config.tables).buffer
+        };
+    }
+
+    /**
+     * 从 serialize() 的结果恢复索引
+     * @returns {LSHIndex|null} 格式不兼容时返回 null
+     */
+    static deserialize(data) {
+        if (!data || data.formatVersion !== LSH_FORMAT_VERSION) {
+            return null;
+        }
+
+        const index = new LSHIndex(data.config);
+        index.dim = data.dim;
+        index.count = data.count;
+        index.mean = new Float32Array(data.mean);
+        index.codes = new Uint32Array(data.codes);
+
+        if (index.mean.length !== index.dim || index.codes.length !== index.config.tables * index.count) {
+            return null;
+        }
+
+        index.planes = LSHIndex._randomPlanes(index.config, index.dim);
+        index._buildBuckets();
+        return index;
+    }
+
+    /**
+     * 与另一组参数是否一致（用于判断已保存的索引能否复用）
+     */
+    hasConfig(config) {
+        return ['tables', 'bits', 'probeRadius', 'seed'].every(key => this.config[key] === config[key]);
+    }
+
+    // ========== 工具方法 ==========
+
+    static _meanRow(matrix, count, dim) {
+        const mean = new Float32Array(dim);
+        if (count === 0) return mean;
+
+        const sum = new Float64Array(dim);
+        for (let row = 0; row < count; row++) {
+            const offset = row * dim;
+            for (let i = 0; i < dim; i++) {
+                sum[i] += matrix[offset + i];
+            }
+        }
+        for (let i = 0; i < dim; i++) {
+            mean[i] = sum[i] / count;
+        }
+        return mean;
+    }
+
+    /**
+     * 由 seed 生成高斯分布的随机超平面（mulberry32 + Box-Muller）
+     */
+    static _randomPlanes({ tables, bits, seed }, dim) {
+        const random = CoreUtils.seededRandom(seed);
+
+        const planes = new Float32Array(tables * bits * dim);
+        for (let i = 0; i < planes.length; i++) {
+            const u = 1 - random();
+            const v = random();
+            planes[i] = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        return planes;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LSHIndex, LSH_DEFAULTS, LSH_PRESETS };
+}
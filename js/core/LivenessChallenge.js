@@ -0,0 +1,351 @@
+/**
+ * LivenessChallenge.js
+ * ----------------------
+ * 活体检测挑战 - 要求用户按提示眨眼、转头、张嘴，防止用打印的照片或手机屏幕冒充
+ *
+ * 原理（只用 68 点特征点序列，不需要额外的模型）：
+ * - blink：眼睛纵横比（EAR）先高于 blinkOpenRatio，再低于 blinkClosedRatio，再回到 blinkOpenRatio 以上
+ * - turn_left / turn_right：yaw 相对挑战开始时的 yaw 向指定方向变化超过 turnYaw（HeadPose.estimate）
+ * - open_mouth：内唇纵横比（MAR）先低于 mouthClosedRatio，再高于 mouthOpenRatio
+ *
+ * 每个动作都要求观察到状态的变化，静止的照片即使眼睛睁开或嘴巴张开也无法通过
+ * 挑战按 challenges 的顺序（randomize 时打乱）逐个进行，每个动作限时 challengeTimeout；
+ * 超时或人脸消失超过 maxFaceLoss 时失败。'turn' 在开始时随机选择向左或向右，使动作序列无法预先录制
+ * 结束（通过或失败）后人脸消失超过 maxFaceLoss 时结果作废、回到空闲状态，下一张出现的人脸重新挑战，
+ * 避免通过后换成照片，也让失败的用户离开画面后可以重试
+ *
+ * 依赖 CoreUtils.js、HeadPose.js、FaceQuality.js（eyeAspectRatio）
+ */
+
+// 挑战动作
+const LivenessAction = {
+    BLINK: 'blink',
+    TURN_LEFT: 'turn_left',
+    TURN_RIGHT: 'turn_right',
+    OPEN_MOUTH: 'open_mouth'
+};
+
+// 挑战状态
+const LivenessState = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PASSED: 'passed',
+    FAILED: 'failed'
+};
+
+// 失败原因
+const LivenessFailure = {
+    TIMEOUT: 'timeout',
+    FACE_LOST: 'face_lost'
+};
+
+const LIVENESS_DEFAULTS = {
+    challenges: ['blink', 'turn'],  // 动作序列（LivenessAction，或 'turn' = 随机向左 / 向右）
+    randomize: true,                // 打乱动作顺序
+    challengeTimeout: 6000,         // 每个动作的时限（ms）
+    maxFaceLoss: 1000,              // 人脸消失超过此时间（ms）：挑战中视为失败，已结束时回到空闲状态
+    blinkOpenRatio: 0.25,           // EAR 高于此值视为睁眼
+    blinkClosedRatio: 0.2,          // EAR 低于此值视为闭眼
+    turnYaw: 20,                    // 转头动作要求的 yaw 变化（度）
+    mouthClosedRatio: 0.15,         // MAR 低于此值视为闭嘴
+    mouthOpenRatio: 0.4             // MAR 高于此值视为张嘴
+};
+
+// 68 点特征点中的内唇轮廓（60 / 64 为嘴角，61-63 上唇，65-67 下唇）
+const INNER_LIP_LANDMARKS = {
+    CORNERS: [60, 64],
+    PAIRS: [[61, 67], [62, 66], [63, 65]]
+};
+
+class LivenessChallenge {
+    constructor(config = {}) {
+        this.config = { ...LIVENESS_DEFAULTS, ...config };
+
+        this.state = LivenessState.IDLE;
+        this.sequence = [];
+        this.index = 0;
+        this.completed = [];
+        this.reason = null;
+
+        this._startedAt = null;
+        this._endedAt = null;
+        this._challengeStartedAt = null;
+        this._lastSeen = null;
+        this._progress = null;          // 当前动作的中间状态
+
+        // 回调
+        this.onStateChange = null;      // (result, previousState) => void
+        this.onChallenge = null;        // ({ action, index, total, prompt }) => void
+        this.onResult = null;           // (result) => void，通过或失败时调用一次
+    }
+
+    /**
+     * 开始一轮挑战（生成新的动作序列）
+     * @param {number} timestamp - 当前时间（ms）
+     */
+    start(timestamp = performance.now()) {
+        this.sequence = this._buildSequence();
+        this.index = 0;
+        this.completed = [];
+        this.reason = null;
+        this._startedAt = timestamp;
+        this._lastSeen = timestamp;
+
+        this._setState(LivenessState.RUNNING);
+        this._beginChallenge(timestamp);
+        return this.getResult(timestamp);
+    }
+
+    /**
+     * 加入一帧的特征点（空闲时自动开始）
+     * @param {Object|Array|null} landmarks - face-api.js 的 FaceLandmarks68，未检测到人脸时传 null
+     * @param {number} timestamp - 帧时间（ms）
+     * @returns {Object} getResult()
+     */
+    update(landmarks, timestamp = performance.now()) {
+        if (!landmarks) {
+            this._faceMissing(timestamp);
+            return this.getResult(timestamp);
+        }
+
+        if (this.state === LivenessState.IDLE) {
+            this.start(timestamp);
+        }
+        this._lastSeen = timestamp;
+        if (this.state !== LivenessState.RUNNING) {
+            return this.getResult(timestamp);
+        }
+
+        if (timestamp - this._challengeStartedAt > this.config.challengeTimeout) {
+            this._fail(LivenessFailure.TIMEOUT, timestamp);
+            return this.getResult(timestamp);
+        }
+
+        if (this._observe(this.sequence[this.index], landmarks)) {
+            this.completed.push({
+                action: this.sequence[this.index],
+                duration: timestamp - this._challengeStartedAt
+            });
+            this.index++;
+
+            if (this.index >= this.sequence.length) {
+                this._finish(LivenessState.PASSED, timestamp);
+            } else {
+                this._beginChallenge(timestamp);
+            }
+        }
+
+        return this.getResult(timestamp);
+    }
+
+    /**
+     * 回到空闲状态（下一次 update 重新开始）
+     */
+    reset() {
+        this.sequence = [];
+        this.index = 0;
+        this.completed = [];
+        this.reason = null;
+        this._startedAt = null;
+        this._challengeStartedAt = null;
+        this._lastSeen = null;
+        this._progress = null;
+        this._setState(LivenessState.IDLE);
+    }
+
+    isPassed() {
+        return this.state === LivenessState.PASSED;
+    }
+
+    /**
+     * 当前结果
+     * @returns {Object} { state, passed, reason, action, prompt, index, total, completed, remaining, duration }
+     */
+    getResult(timestamp = performance.now()) {
+        const running = this.state === LivenessState.RUNNING;
+        const action = running ? this.sequence[this.index] : null;
+
+        return {
+            state: this.state,
+            passed: this.state === LivenessState.PASSED,
+            reason: this.reason,
+            action,
+            prompt: action ? LivenessChallenge.prompt(action) : '',
+            index: this.index,
+            total: this.sequence.length,
+            completed: [...this.completed],
+            remaining: running ? Math.max(0, this.config.challengeTimeout - (timestamp - this._challengeStartedAt)) : null,
+            duration: this._startedAt === null ? 0 : (this._endedAt ?? timestamp) - this._startedAt
+        };
+    }
+
+    /**
+     * 动作的提示语
+     */
+    static prompt(action) {
+        return {
+            [LivenessAction.BLINK]: 'Blink your eyes',
+            [LivenessAction.TURN_LEFT]: 'Turn your head to the left',
+            [LivenessAction.TURN_RIGHT]: 'Turn your head to the right',
+            [LivenessAction.OPEN_MOUTH]: 'Open your mouth'
+        }[action] || '';
+    }
+
+    /**
+     * 内唇纵横比 MAR = 三组上下唇点距离的平均 / 嘴角距离
+     * @returns {number|null} 闭嘴接近 0；特征点不足时返回 null
+     */
+    static mouthAspectRatio(landmarks) {
+        const points = CoreUtils.landmarkPoints(landmarks);
+        if (!points || points.length < 68) return null;
+
+        const [left, right] = INNER_LIP_LANDMARKS.CORNERS.map(i => points[i]);
+        const width = CoreUtils.pointDistance(left, right);
+        if (width <= 0) return null;
+
+        const opening = INNER_LIP_LANDMARKS.PAIRS
+            .reduce((sum, [a, b]) => sum + CoreUtils.pointDistance(points[a], points[b]), 0) / INNER_LIP_LANDMARKS.PAIRS.length;
+        return opening / width;
+    }
+
+    // ========== 动作判定 ==========
+
+    /**
+     * 用一帧特征点推进当前动作
+     * @returns {boolean} 动作是否完成
+     */
+    _observe(action, landmarks) {
+        const { config } = this;
+        const progress = this._progress;
+
+        switch (action) {
+            case LivenessAction.BLINK: {
+                const ear = FaceQuality.eyeAspectRatio(landmarks);
+                if (ear === null) return false;
+
+                if (!progress.opened) {
+                    progress.opened = ear > config.blinkOpenRatio;
+                } else if (!progress.closed) {
+                    progress.closed = ear < config.blinkClosedRatio;
+                } else {
+                    return ear > config.blinkOpenRatio;
+                }
+                return false;
+            }
+
+            case LivenessAction.TURN_LEFT:
+            case LivenessAction.TURN_RIGHT: {
+                const pose = HeadPose.estimate(landmarks);
+                if (!pose) return false;
+
+                // 以动作开始后第一帧的 yaw 为基准，用户原本略微侧脸时也需要真正转动
+                if (progress.baseYaw === null) {
+                    progress.baseYaw = pose.yaw;
+                    return false;
+                }
+                const delta = pose.yaw - progress.baseYaw;
+                return action === LivenessAction.TURN_LEFT ? delta >= config.turnYaw : -delta >= config.turnYaw;
+            }
+
+            case LivenessAction.OPEN_MOUTH: {
+                const mar = LivenessChallenge.mouthAspectRatio(landmarks);
+                if (mar === null) return false;
+
+                if (!progress.closed) {
+                    progress.closed = mar < config.mouthClosedRatio;
+                    return false;
+                }
+                return mar > config.mouthOpenRatio;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    _buildSequence() {
+        const sequence = this.config.challenges.map(action => {
+            if (action === 'turn') {
+                return Math.random() < 0.5 ? LivenessAction.TURN_LEFT : LivenessAction.TURN_RIGHT;
+            }
+            if (!Object.values(LivenessAction).includes(action)) {
+                const error = new Error(`Unknown liveness action: ${action}`);
+                error.code = 'INVALID_LIVENESS_ACTION';
+                throw error;
+            }
+            return action;
+        });
+
+        if (this.config.randomize) {
+            for (let i = sequence.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+            }
+        }
+        return sequence;
+    }
+
+    _beginChallenge(timestamp) {
+        this._challengeStartedAt = timestamp;
+        this._progress = { opened: false, closed: false, baseYaw: null };
+
+        if (this.onChallenge) {
+            const action = this.sequence[this.index];
+            this.onChallenge({
+                action,
+                index: this.index,
+                total: this.sequence.length,
+                prompt: LivenessChallenge.prompt(action)
+            });
+        }
+    }
+
+    // ========== 状态 ==========
+
+    _faceMissing(timestamp) {
+        if (this.state === LivenessState.IDLE) return;
+
+        // 失败后重新计时，让失败结果至少显示 maxFaceLoss
+        const since = Math.max(this._lastSeen, this._endedAt ?? -Infinity);
+        if (timestamp - since <= this.config.maxFaceLoss) return;
+
+        if (this.state === LivenessState.RUNNING) {
+            this._fail(LivenessFailure.FACE_LOST, timestamp);
+        } else {
+            this.reset();
+        }
+    }
+
+    _fail(reason, timestamp) {
+        this.reason = reason;
+        this._finish(LivenessState.FAILED, timestamp);
+    }
+
+    _finish(state, timestamp) {
+        this._endedAt = timestamp;
+        this._progress = null;
+        this._setState(state, timestamp);
+
+        if (this.onResult) {
+            this.onResult(this.getResult(timestamp));
+        }
+    }
+
+    _setState(state, timestamp = performance.now()) {
+        if (state === this.state) return;
+
+        const previousState = this.state;
+        this.state = state;
+        if (state === LivenessState.IDLE || state === LivenessState.RUNNING) {
+            this._endedAt = null;
+        }
+        if (this.onStateChange) {
+            this.onStateChange(this.getResult(timestamp), previousState);
+        }
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LivenessChallenge, LivenessAction, LivenessState, LivenessFailure, LIVENESS_DEFAULTS };
+}
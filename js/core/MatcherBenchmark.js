@@ -0,0 +1,205 @@
+/**
+ * MatcherBenchmark.js
+ * ---------------------
+ * 匹配性能基准测试 - 对比旧版线性扫描与 FaceMatcher 扁平矩阵索引
+ *
+ * 旧版实现：Float32Array 数组 + 逐个计算完整欧几里得距离
+ * 新版实现：连续 Float32Array 矩阵 + 预计算范数剪枝 + 平方距离提前退出
+ * 近似索引：在扁平矩阵上构建 LSHIndex，只扫描候选行（加载 LSHIndex.js 时测试）
+ *
+ * 使用合成数据：每个用户一个随机中心，查询向量为中心加噪声（模拟真实的识别场景）
+ *
+ * 依赖 FaceMatcher.js，可选 LSHIndex.js
+ */
+
+const BENCHMARK_DEFAULTS = {
+    sizes: [1000, 10000, 100000],   // 特征向量数量
+    dim: 128,                       // 特征向量维度
+    queries: 50,                    // 每个规模的查询次数
+    valueScale: 0.09,               // 随机向量每维的标准差（face-api.js 特征向量范数约为 1）
+    queryNoise: 0.03,               // 查询向量相对于注册向量的噪声
+    annParams: {}                   // LSH 参数，见 LSH_DEFAULTS
+};
+
+class MatcherBenchmark {
+    constructor(config = {}) {
+        this.config = { ...BENCHMARK_DEFAULTS, ...config };
+
+        // 回调
+        this.onProgress = null;     // (row) => void，每完成一个规模调用一次
+    }
+
+    /**
+     * 运行基准测试
+     * 每个规模之间让出主线程，避免页面长时间无响应
+     * @returns {Promise<Array>} [{ descriptors, legacyMs, flatMs, speedup, agreement, annBuildMs, annMs, annRecall }]
+     */
+    async run() {
+        const results = [];
+
+        for (const size of this.config.sizes) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const row = this.runSize(size);
+            results.push(row);
+
+            if (this.onProgress) {
+                this.onProgress(row);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 单个规模的测试
+     * @param {number} size - 特征向量数量
+     */
+    runSize(size) {
+        const { dim, queries: queryCount } = this.config;
+        const gallery = this._randomGallery(size, dim);
+        const queries = this._randomQueries(gallery, queryCount);
+
+        // 旧版索引
+        const legacyDescriptors = gallery.map(user => user.descriptors[0]);
+
+        // 新版索引
+        const matcher = new FaceMatcher({
+            useMeanDescriptor: false,
+            expectedDescriptorLength: dim,
+            logMatches: false
+        });
+        matcher._processUsers(gallery);
+
+        // 旧版
+        let start = performance.now();
+        const legacyRows = queries.map(query => MatcherBenchmark._legacyNearest(legacyDescriptors, query));
+        const legacyMs = (performance.now() - start) / queryCount;
+
+        // 新版
+        start = performance.now();
+        const flatRows = queries.map(query => matcher._nearestRow(query).row);
+        const flatMs = (performance.now() - start) / queryCount;
+
+        const agreement = flatRows.filter((row, i) => row === legacyRows[i]).length / queryCount;
+
+        // 近似索引：召回率 = 返回的最近邻与精确搜索一致的比例
+        let annBuildMs = null;
+        let annMs = null;
+        let annRecall = null;
+
+        if (typeof LSHIndex !== 'undefined') {
+            matcher.config.annIndex = true;
+            matcher.config.annMinDescriptors = 1;
+            matcher.config.annParams = this.config.annParams;
+
+            start = performance.now();
+            matcher._buildAnnIndex();
+            annBuildMs = performance.now() - start;
+
+            start = performance.now();
+            const annRows = queries.map(query => matcher._nearestRow(query).row);
+            annMs = (performance.now() - start) / queryCount;
+
+            annRecall = annRows.filter((row, i) => row === legacyRows[i]).length / queryCount;
+        }
+
+        return {
+            descriptors: size,
+            legacyMs,
+            flatMs,
+            speedup: flatMs > 0 ? legacyMs / flatMs : Infinity,
+            agreement,
+            annBuildMs,
+            annMs,
+            annRecall
+        };
+    }
+
+    /**
+     * 旧版 FaceMatcher.findBestMatch 的搜索循环
+     * @returns {number} 最近的特征向量索引
+     */
+    static _legacyNearest(descriptors, query) {
+        let bestDistance = Infinity;
+        let bestIndex = -1;
+
+        for (let i = 0; i < descriptors.length; i++) {
+            const b = descriptors[i];
+            let sum = 0;
+            for (let j = 0; j < query.length; j++) {
+                const diff = query[j] - b[j];
+                sum += diff * diff;
+            }
+            const distance = Math.sqrt(sum);
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    // ========== 合成数据 ==========
+
+    _randomGallery(size, dim) {
+        const users = [];
+        for (let i = 0; i < size; i++) {
+            users.push({
+                id: `bench_${i}`,
+                name: `Bench ${i}`,
+                descriptors: [this._randomVector(dim, this.config.valueScale)]
+            });
+        }
+        return users;
+    }
+
+    _randomQueries(gallery, count) {
+        const queries = [];
+        for (let i = 0; i < count; i++) {
+            const source = gallery[Math.floor(Math.random() * gallery.length)].descriptors[0];
+            const noise = this._randomVector(source.length, this.config.queryNoise);
+            queries.push(source.map((value, j) => value + noise[j]));
+        }
+        return queries;
+    }
+
+    /**
+     * 正态分布随机向量（Box-Muller）
+     */
+    _randomVector(dim, scale) {
+        const vector = new Float32Array(dim);
+        for (let i = 0; i < dim; i++) {
+            const u = 1 - Math.random();
+            const v = Math.random();
+            vector[i] = scale * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        return vector;
+    }
+
+    /**
+     * 将结果格式化为表格文本
+     */
+    static formatResults(results) {
+        const lines = ['Descriptors | Legacy (ms) | Flat (ms) | Speedup | Agreement | LSH (ms) | LSH recall'];
+        results.forEach(r => {
+            lines.push([
+                String(r.descriptors).padStart(11),
+                r.legacyMs.toFixed(3).padStart(11),
+                r.flatMs.toFixed(3).padStart(9),
+                (r.speedup.toFixed(1) + 'x').padStart(7),
+                ((r.agreement * 100).toFixed(0) + '%').padStart(9),
+                (r.annMs !== null ? r.annMs.toFixed(3) : '-').padStart(8),
+                (r.annRecall !== null ? (r.annRecall * 100).toFixed(0) + '%' : '-').padStart(10)
+            ].join(' | '));
+        });
+        return lines.join('\n');
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MatcherBenchmark, BENCHMARK_DEFAULTS };
+}
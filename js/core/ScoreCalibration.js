@@ -0,0 +1,414 @@
+/**
+ * ScoreCalibration.js
+ * ---------------------
+ * 匹配置信度校准 - 把距离映射为"是同一人"的概率，并估算误识率（FAR）/ 拒识率（FRR）
+ *
+ * 样本来自本地用户库（与 FaceMatcher 的比对方式一致）：
+ * - 真实样本（genuine）：每个特征向量与同一用户其余特征向量（的平均值）的距离（留一法）
+ * - 冒认样本（impostor）：每个特征向量与其他用户（的平均特征向量）的距离，数量过多时随机抽样
+ *
+ * 校准方法：
+ * - platt：逻辑回归 p = 1 / (1 + exp(A·d + B))，平滑、参数少，样本较少时更稳定
+ * - isotonic：保序回归（PAV），不假设曲线形状，样本充足时更准确
+ *
+ * 冒认样本数量通常远多于真实样本，拟合时按 genuinePrior 加权，概率为该先验下的后验概率
+ *
+ * 依赖 CoreUtils.js、DistanceMetrics.js
+ */
+
+const CalibrationMethod = {
+    PLATT: 'platt',
+    ISOTONIC: 'isotonic'
+};
+
+const CALIBRATION_FORMAT_VERSION = 1;
+
+const CALIBRATION_DEFAULTS = {
+    method: CalibrationMethod.PLATT,
+    distanceMetric: 'euclidean',    // 与 FaceMatcher 的 distanceMetric 一致
+    useMeanDescriptor: true,        // 与 FaceMatcher 的 useMeanDescriptor 一致
+    genuinePrior: 0.5,              // 同一人的先验概率
+    minGenuine: 10,                 // 最少真实样本数
+    minImpostor: 10,                // 最少冒认样本数
+    maxImpostorSamples: 20000,      // 冒认样本上限（超过时随机抽样）
+    maxStoredSamples: 256,          // 每个分布保存的分位点 / 尾部样本数（用于估算 FAR / FRR）
+    seed: 20240601                  // 抽样随机种子（结果可复现）
+};
+
+class ScoreCalibrator {
+    /**
+     * 一般通过 ScoreCalibrator.fromGallery / fit / fromJSON 创建
+     */
+    constructor(data) {
+        this.method = data.method;
+        this.distanceMetric = data.distanceMetric;
+        this.useMeanDescriptor = data.useMeanDescriptor;
+        this.genuinePrior = data.genuinePrior;
+        this.params = data.params || null;      // platt: { a, b }
+        this.points = data.points || null;      // isotonic: [[distance, probability], ...]（距离升序）
+        this.genuine = data.genuine;            // 距离分布摘要（见 _summarize）
+        this.impostor = data.impostor;
+        this.createdAt = data.createdAt || Date.now();
+    }
+
+    // ========== 创建 ==========
+
+    /**
+     * 从用户库采样并拟合
+     * @param {Array} users - [{ id, descriptors, meanDescriptor }]
+     * @param {Object} config - 见 CALIBRATION_DEFAULTS
+     */
+    static fromGallery(users, config = {}) {
+        const options = { ...CALIBRATION_DEFAULTS, ...config };
+        const { genuine, impostor } = ScoreCalibrator.collectSamples(users, options);
+        return ScoreCalibrator.fit(genuine, impostor, options);
+    }
+
+    /**
+     * 采集真实 / 冒认距离样本
+     * @returns {{ genuine: Array<number>, impostor: Array<number> }}
+     */
+    static collectSamples(users, config = {}) {
+        const { distanceMetric, useMeanDescriptor, maxImpostorSamples, seed } = { ...CALIBRATION_DEFAULTS, ...config };
+        const distance = (a, b) => DistanceMetrics.distance(a, b, distanceMetric);
+        const valid = users.filter(u => u && Array.isArray(u.descriptors) && u.descriptors.length > 0);
+
+        // 与 FaceMatcher 一致：比对平均特征向量，或取与所有特征向量的最小距离
+        const toReference = (descriptors, meanDescriptor) => (useMeanDescriptor
+            ? [meanDescriptor || DistanceMetrics.mean(descriptors)]
+            : descriptors);
+        const nearest = (query, references) => Math.min(...references.map(ref => distance(query, ref)));
+        const references = valid.map(u => toReference(u.descriptors, u.meanDescriptor));
+
+        // 真实样本：留一法（注册时的平均值包含该特征向量本身，必须重新计算）
+        const genuine = [];
+        valid.forEach(user => {
+            if (user.descriptors.length < 2) return;
+            user.descriptors.forEach((descriptor, i) => {
+                const others = user.descriptors.filter((_, j) => j !== i);
+                genuine.push(nearest(descriptor, toReference(others, null)));
+            });
+        });
+
+        // 冒认样本：所有（特征向量, 其他用户）组合，超过上限时按固定种子抽样
+        const probes = [];
+        valid.forEach((user, u) => user.descriptors.forEach(descriptor => probes.push({ u, descriptor })));
+        const totalPairs = probes.length * Math.max(0, valid.length - 1);
+
+        const impostor = [];
+        if (totalPairs <= maxImpostorSamples) {
+            probes.forEach(({ u, descriptor }) => {
+                references.forEach((refs, v) => {
+                    if (v !== u) impostor.push(nearest(descriptor, refs));
+                });
+            });
+        } else {
+            const random = CoreUtils.seededRandom(seed);
+            for (let i = 0; i < maxImpostorSamples; i++) {
+                const { u, descriptor } = probes[Math.floor(random() * probes.length)];
+                let v = Math.floor(random() * (valid.length - 1));
+                if (v >= u) v++;
+                impostor.push(nearest(descriptor, references[v]));
+            }
+        }
+
+        return { genuine, impostor };
+    }
+
+    /**
+     * 拟合校准曲线
+     * @param {Array<number>} genuine - 真实样本距离
+     * @param {Array<number>} impostor - 冒认样本距离
+     */
+    static fit(genuine, impostor, config = {}) {
+        const options = { ...CALIBRATION_DEFAULTS, ...config };
+
+        if (genuine.length < options.minGenuine || impostor.length < options.minImpostor) {
+            const error = new Error(
+                `Not enough samples to calibrate: ${genuine.length} genuine (need ${options.minGenuine}), ` +
+                `${impostor.length} impostor (need ${options.minImpostor}). Register more users or more captures per user.`
+            );
+            error.code = 'insufficient_samples';
+            throw error;
+        }
+
+        const data = {
+            method: options.method,
+            distanceMetric: options.distanceMetric,
+            useMeanDescriptor: options.useMeanDescriptor,
+            genuinePrior: options.genuinePrior,
+            genuine: ScoreCalibrator._summarize(genuine, options.maxStoredSamples),
+            impostor: ScoreCalibrator._summarize(impostor, options.maxStoredSamples)
+        };
+
+        if (options.method === CalibrationMethod.ISOTONIC) {
+            data.points = ScoreCalibrator._fitIsotonic(genuine, impostor, options.genuinePrior);
+        } else if (options.method === CalibrationMethod.PLATT) {
+            data.params = ScoreCalibrator._fitPlatt(genuine, impostor, options.genuinePrior);
+        } else {
+            const error = new Error(`Unknown calibration method "${options.method}"`);
+            error.code = 'unknown_method';
+            throw error;
+        }
+
+        return new ScoreCalibrator(data);
+    }
+
+    // ========== 查询 ==========
+
+    /**
+     * 距离 → 是同一人的概率（0 - 1）
+     */
+    probability(distance) {
+        if (this.method === CalibrationMethod.PLATT) {
+            const { a, b } = this.params;
+            return 1 / (1 + Math.exp(a * distance + b));
+        }
+
+        const points = this.points;
+        if (distance <= points[0][0]) return points[0][1];
+        if (distance >= points[points.length - 1][0]) return points[points.length - 1][1];
+
+        let lo = 0;
+        let hi = points.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid][0] <= distance) lo = mid; else hi = mid;
+        }
+        const [d0, p0] = points[lo];
+        const [d1, p1] = points[hi];
+        return d1 > d0 ? p0 + (p1 - p0) * (distance - d0) / (d1 - d0) : p0;
+    }
+
+    /**
+     * 估算单次比对的误识率：冒认距离小于阈值的比例
+     */
+    falseAcceptRate(threshold) {
+        return ScoreCalibrator._fractionBelow(this.impostor, threshold);
+    }
+
+    /**
+     * 估算拒识率：真实距离不小于阈值的比例
+     */
+    falseRejectRate(threshold) {
+        return 1 - ScoreCalibrator._fractionBelow(this.genuine, threshold);
+    }
+
+    /**
+     * 1:N 识别时的误识率：冒认者与 N 个用户中任意一个的距离小于阈值（假设各次比对独立）
+     */
+    galleryFalseAcceptRate(threshold, userCount) {
+        return 1 - Math.pow(1 - this.falseAcceptRate(threshold), Math.max(1, userCount));
+    }
+
+    /**
+     * 是否适用于指定的 FaceMatcher 配置
+     */
+    isCompatible({ distanceMetric, useMeanDescriptor }) {
+        return this.distanceMetric === distanceMetric && this.useMeanDescriptor === useMeanDescriptor;
+    }
+
+    // ========== 序列化 ==========
+
+    /**
+     * 转换为可存入 IndexedDB / JSON 的对象
+     */
+    toJSON() {
+        return {
+            formatVersion: CALIBRATION_FORMAT_VERSION,
+            method: this.method,
+            distanceMetric: this.distanceMetric,
+            useMeanDescriptor: this.useMeanDescriptor,
+            genuinePrior: this.genuinePrior,
+            params: this.params,
+            points: this.points,
+            genuine: this.genuine,
+            impostor: this.impostor,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * 从 toJSON() 的结果恢复
+     * @returns {ScoreCalibrator|null} 格式不兼容时返回 null
+     */
+    static fromJSON(data) {
+        if (!data || data.formatVersion !== CALIBRATION_FORMAT_VERSION) {
+            return null;
+        }
+        if (data.method === CalibrationMethod.PLATT ? !data.params : !(data.points && data.points.length > 0)) {
+            return null;
+        }
+        return new ScoreCalibrator(data);
+    }
+
+    // ========== 拟合 ==========
+
+    /**
+     * Platt 缩放：加权逻辑回归（牛顿法），目标值按 Platt 的方法平滑以避免完全可分时发散
+     */
+    static _fitPlatt(genuine, impostor, prior) {
+        const samples = ScoreCalibrator._weightedSamples(genuine, impostor, prior);
+        const genuineTarget = (genuine.length + 1) / (genuine.length + 2);
+        const impostorTarget = 1 / (impostor.length + 2);
+        samples.forEach(s => { s.target = s.label ? genuineTarget : impostorTarget; });
+
+        const loss = (a, b) => {
+            let sum = 0;
+            samples.forEach(({ distance, target, weight }) => {
+                const z = a * distance + b;
+                // log(1 + e^z) 的数值稳定写法
+                const softplus = z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z));
+                sum += weight * (target * softplus + (1 - target) * (softplus - z));
+            });
+            return sum;
+        };
+
+        let a = 0;
+        let b = Math.log((1 - prior) / prior);
+        let current = loss(a, b);
+
+        for (let iter = 0; iter < 100; iter++) {
+            let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+            samples.forEach(({ distance, target, weight }) => {
+                const p = 1 / (1 + Math.exp(a * distance + b));
+                const g = weight * (target - p);
+                const h = weight * p * (1 - p);
+                ga += g * distance;
+                gb += g;
+                haa += h * distance * distance;
+                hab += h * distance;
+                hbb += h;
+            });
+
+            const det = haa * hbb - hab * hab;
+            if (!(Math.abs(det) > 1e-12)) break;
+            const da = (hbb * ga - hab * gb) / det;
+            const db = (haa * gb - hab * ga) / det;
+
+            // 回溯线搜索，保证损失下降
+            let step = 1;
+            let next = loss(a - da, b - db);
+            while (next > current && step > 1e-6) {
+                step /= 2;
+                next = loss(a - step * da, b - step * db);
+            }
+            if (next > current) break;
+
+            a -= step * da;
+            b -= step * db;
+            const improvement = current - next;
+            current = next;
+            if (improvement < 1e-10) break;
+        }
+
+        return { a, b };
+    }
+
+    /**
+     * 保序回归（Pool Adjacent Violators）：概率随距离单调不增
+     * @returns {Array} [[distance, probability], ...]，每个合并块取其最小和最大距离两个点，块之间线性插值
+     */
+    static _fitIsotonic(genuine, impostor, prior) {
+        const samples = ScoreCalibrator._weightedSamples(genuine, impostor, prior)
+            .sort((x, y) => x.distance - y.distance);
+
+        const blocks = [];
+        samples.forEach(({ distance, label, weight }) => {
+            blocks.push({ weight, value: label ? 1 : 0, min: distance, max: distance });
+
+            // 前一块的概率必须不小于后一块，否则合并
+            while (blocks.length > 1 && blocks[blocks.length - 2].value <= blocks[blocks.length - 1].value) {
+                const last = blocks.pop();
+                const prev = blocks[blocks.length - 1];
+                const weight = prev.weight + last.weight;
+                prev.value = (prev.value * prev.weight + last.value * last.weight) / weight;
+                prev.max = last.max;
+                prev.weight = weight;
+            }
+        });
+
+        const points = [];
+        blocks.forEach(block => {
+            points.push([block.min, block.value]);
+            if (block.max > block.min) points.push([block.max, block.value]);
+        });
+        return points;
+    }
+
+    /**
+     * 按先验加权：真实样本总权重 = prior，冒认样本总权重 = 1 - prior
+     */
+    static _weightedSamples(genuine, impostor, prior) {
+        const genuineWeight = prior / genuine.length;
+        const impostorWeight = (1 - prior) / impostor.length;
+        return [
+            ...genuine.map(distance => ({ distance, label: true, weight: genuineWeight })),
+            ...impostor.map(distance => ({ distance, label: false, weight: impostorWeight }))
+        ];
+    }
+
+    // ========== 分布摘要 ==========
+
+    /**
+     * 距离分布摘要：样本较少时保存全部，否则保存两端各 limit 个样本和 limit 个等间隔分位点
+     * FAR / FRR 关心的是分布尾部，尾部保留精确值
+     * @returns {{ count, low: Array, quantiles: Array, high: Array }}
+     */
+    static _summarize(values, limit) {
+        const sorted = Float64Array.from(values).sort();
+        const count = sorted.length;
+
+        if (count <= limit * 3) {
+            return { count, low: Array.from(sorted), quantiles: [], high: [] };
+        }
+
+        const quantiles = [];
+        for (let i = 0; i < limit; i++) {
+            quantiles.push(sorted[Math.round(i * (count - 1) / (limit - 1))]);
+        }
+
+        return {
+            count,
+            low: Array.from(sorted.subarray(0, limit)),
+            quantiles,
+            high: Array.from(sorted.subarray(count - limit))
+        };
+    }
+
+    /**
+     * 分布中小于 x 的比例
+     */
+    static _fractionBelow(summary, x) {
+        const { count, low, quantiles, high } = summary;
+        const countBelow = (sorted, value) => {
+            let lo = 0;
+            let hi = sorted.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+            }
+            return lo;
+        };
+
+        if (quantiles.length === 0 || x <= low[low.length - 1]) {
+            return countBelow(low, x) / count;
+        }
+        if (x > high[0]) {
+            return (count - high.length + countBelow(high, x)) / count;
+        }
+
+        // 在分位点之间线性插值
+        const j = Math.max(1, countBelow(quantiles, x));
+        const q0 = quantiles[j - 1];
+        const q1 = quantiles[Math.min(j, quantiles.length - 1)];
+        const step = (count - 1) / (quantiles.length - 1);
+        const rank = (j - 1) * step + (q1 > q0 ? (x - q0) / (q1 - q0) : 0) * step;
+        return Math.min(1, rank / count);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoreCalibrator, CalibrationMethod, CALIBRATION_DEFAULTS };
+}
@@ -0,0 +1,522 @@
+/**
+ * SpoofDetector.js
+ * ------------------
+ * 被动防伪 - 不需要用户配合，逐帧从人脸区域估计"是照片 / 屏幕翻拍"的可能性
+ *
+ * 内置启发式线索（每项输出 0-1 的分数，越高越像伪造；无法判断时为 null，不参与综合）：
+ * - moire：人脸区域灰度频谱的高频段中是否有孤立的尖峰（屏幕像素栅格与摄像头采样形成的摩尔纹）
+ * - specular：接近白色的高光像素比例（屏幕和相纸的大面积反光）
+ * - color：色度（Cb / Cr）的离散程度（翻拍和打印后肤色层次变少，黑白打印接近 0）
+ * - motion：相邻帧特征点运动中无法用仿射变换解释的部分所占的比例
+ *   （平面的照片整体移动 / 倾斜时接近仿射，真人转头时鼻子相对脸部轮廓有视差）
+ *
+ * 综合分数为各线索分数的加权平均（weights），达到 spoofThreshold 时判为伪造
+ * 启发式线索只能拦截明显的翻拍，阈值需要在实际设备上调整
+ *
+ * 可替换：analyzers 是 { name, weight, analyze(input) } 的数组，analyze 返回 0-1 的分数、
+ * { score, ...details } 或 null，可以返回 Promise（例如运行训练好的模型），
+ * 通过 use() 追加或 setAnalyzers() 整体替换内置线索
+ *
+ * 依赖 CoreUtils.js
+ */
+
+// 对匹配结果的处理方式
+const SpoofPolicy = {
+    FLAG: 'flag',               // 只附加分数
+    DOWNGRADE: 'downgrade',     // 判为伪造时降低置信度，不再视为高置信度匹配
+    REJECT: 'reject'            // 判为伪造时改为 no_match
+};
+
+const SPOOF_DEFAULTS = {
+    spoofThreshold: 0.5,        // 综合分数达到此值判为伪造
+    sampleSize: 64,             // 人脸区域的采样尺寸（频谱分析为 O(N³)，越大越慢）
+    moireLowPeak: 30,           // 高频段峰值 / 中位数低于此值时 moire 为 0
+    moireHighPeak: 150,         // 高于此值时 moire 为 1
+    moireMinFrequency: 0.25,    // 高频段的下限（相对奈奎斯特频率）
+    specularLow: 0.01,          // 高光像素比例低于此值时 specular 为 0
+    specularHigh: 0.08,         // 高于此值时 specular 为 1
+    specularLuma: 235,          // 亮度高于此值且饱和度低的像素视为高光
+    colorLowSpread: 2,          // 色度标准差低于此值时 color 为 1
+    colorHighSpread: 6,         // 高于此值时 color 为 0
+    motionWindow: 10,           // 计算 motion 的最近帧数
+    motionMaxGap: 500,          // 相邻两帧间隔超过此时间（ms）时重新累计
+    minMotion: 0.004,           // 平均每帧运动（相对人脸尺度）低于此值时没有足够的证据，motion 为 null
+    motionPlanarRatio: 0.1,     // 非仿射运动占比低于此值时 motion 为 1
+    motionLiveRatio: 0.3,       // 高于此值时 motion 为 0
+    weights: {
+        moire: 1.5,
+        specular: 1,
+        color: 0.5,
+        motion: 1
+    }
+};
+
+class SpoofDetector {
+    constructor(config = {}) {
+        this.config = { ...SPOOF_DEFAULTS, ...config, weights: { ...SPOOF_DEFAULTS.weights, ...config.weights } };
+
+        this.analyzers = this._defaultAnalyzers();
+        this._history = [];             // 最近几帧的特征点 { points, timestamp }
+    }
+
+    /**
+     * 追加一个分析器（如训练好的模型）
+     * @param {Object} analyzer - { name, weight, analyze(input) }
+     */
+    use(analyzer) {
+        SpoofDetector._assertAnalyzer(analyzer);
+        this.analyzers = this.analyzers.filter(a => a.name !== analyzer.name).concat(analyzer);
+        return this;
+    }
+
+    /**
+     * 替换全部分析器（传入空数组后 assess 只返回 null 分数）
+     */
+    setAnalyzers(analyzers) {
+        analyzers.forEach(SpoofDetector._assertAnalyzer);
+        this.analyzers = [...analyzers];
+        return this;
+    }
+
+    /**
+     * 评估一帧
+     * @param {Object} detection - face-api.js 的检测结果（含 detection.box，可选 landmarks）
+     * @param {ImageData} frameData - 当前帧图像数据（缺少时只有 motion 等不依赖画面的线索），可以只是人脸附近的区域
+     * @param {number} timestamp - 帧时间（ms）
+     * @param {Object} frameOrigin - frameData 只是画面的一部分时，其左上角在画面中的位置 { x, y }
+     * @returns {Promise<Object>} { score, isSpoof, threshold, cues: { name: score }, details: { name: {...} } }
+     */
+    async assess(detection, frameData = null, timestamp = performance.now(), frameOrigin = null) {
+        const box = CoreUtils.detectionBox(detection);
+        const points = CoreUtils.landmarkPoints(detection && detection.landmarks);
+        this._remember(points, timestamp);
+
+        const input = {
+            detection,
+            frameData,
+            frameOrigin: frameOrigin || { x: 0, y: 0 },
+            box,
+            landmarks: points,
+            crop: box && frameData ? SpoofDetector._sampleRGB(frameData, box, this.config.sampleSize, frameOrigin) : null,
+            history: this._history,
+            config: this.config
+        };
+
+        const cues = {};
+        const details = {};
+        let weighted = 0;
+        let totalWeight = 0;
+
+        for (const analyzer of this.analyzers) {
+            let output = null;
+            try {
+                output = await analyzer.analyze(input);
+            } catch (error) {
+                console.warn(`SpoofDetector: Analyzer "${analyzer.name}" failed`, error);
+            }
+
+            const score = typeof output === 'number' ? output : (output ? output.score : null);
+            if (score === null || score === undefined || !isFinite(score)) {
+                cues[analyzer.name] = null;
+                continue;
+            }
+
+            cues[analyzer.name] = CoreUtils.clamp(score, 0, 1);
+            if (output && typeof output === 'object') {
+                const { score: _, ...rest } = output;
+                details[analyzer.name] = rest;
+            }
+            weighted += cues[analyzer.name] * analyzer.weight;
+            totalWeight += analyzer.weight;
+        }
+
+        const score = totalWeight > 0 ? weighted / totalWeight : null;
+        return {
+            score,
+            isSpoof: score !== null && score >= this.config.spoofThreshold,
+            threshold: this.config.spoofThreshold,
+            cues,
+            details
+        };
+    }
+
+    /**
+     * 清除帧历史（人脸消失或换人时调用）
+     */
+    reset() {
+        this._history = [];
+    }
+
+    /**
+     * 把评估结果附加到 FaceMatcher.findBestMatch 的结果上，并按 policy 处理
+     * @returns {Object} 新的匹配结果（含 spoof；DOWNGRADE 时含 spoofSuspected，REJECT 时含 rejectedBy 和 candidate）
+     */
+    static applyToMatch(result, spoof, policy = SpoofPolicy.FLAG) {
+        const flagged = { ...result, spoof };
+        if (!spoof || !spoof.isSpoof || result.status !== 'matched') {
+            return flagged;
+        }
+
+        if (policy === SpoofPolicy.REJECT) {
+            return {
+                ...flagged,
+                status: 'no_match',
+                user: null,
+                confidence: 0,
+                isHighConfidence: false,
+                rejectedBy: 'spoof',
+                candidate: result.user
+            };
+        }
+        if (policy === SpoofPolicy.DOWNGRADE) {
+            return {
+                ...flagged,
+                confidence: result.confidence * (1 - spoof.score),
+                isHighConfidence: false,
+                spoofSuspected: true
+            };
+        }
+        return flagged;
+    }
+
+    // ========== 分析器 ==========
+
+    _defaultAnalyzers() {
+        const { weights } = this.config;
+        return [
+            { name: 'moire', weight: weights.moire, analyze: SpoofHeuristics.moire },
+            { name: 'specular', weight: weights.specular, analyze: SpoofHeuristics.specular },
+            { name: 'color', weight: weights.color, analyze: SpoofHeuristics.color },
+            { name: 'motion', weight: weights.motion, analyze: SpoofHeuristics.motion }
+        ];
+    }
+
+    _remember(points, timestamp) {
+        const last = this._history[this._history.length - 1];
+        if (!points || (last && timestamp - last.timestamp > this.config.motionMaxGap)) {
+            this._history = [];
+        }
+        if (!points) return;
+
+        this._history.push({ points, timestamp });
+        if (this._history.length > this.config.motionWindow + 1) {
+            this._history.shift();
+        }
+    }
+
+    static _assertAnalyzer(analyzer) {
+        if (!analyzer || !analyzer.name || typeof analyzer.analyze !== 'function' || !(analyzer.weight >= 0)) {
+            const error = new Error('Spoof analyzer needs a name, a non-negative weight and an analyze function');
+            error.code = 'INVALID_ANALYZER';
+            throw error;
+        }
+    }
+
+    // ========== 工具方法 ==========
+
+    /**
+     * 把人脸区域（限制在画面内）按区域平均缩放为 size × size 的 RGB（平均可以减少缩放本身产生的混叠）
+     * origin 为 frameData 左上角在画面中的位置，box 为画面坐标
+     * @returns {Object|null} { r, g, b, size }（Float32Array）
+     */
+    static _sampleRGB(frameData, box, size, origin = null) {
+        const { x: ox, y: oy } = origin || { x: 0, y: 0 };
+        const x0 = Math.max(0, Math.floor(box.x - ox));
+        const y0 = Math.max(0, Math.floor(box.y - oy));
+        const x1 = Math.min(frameData.width, Math.ceil(box.x - ox + box.width));
+        const y1 = Math.min(frameData.height, Math.ceil(box.y - oy + box.height));
+        if (x1 - x0 < size / 2 || y1 - y0 < size / 2) return null;
+
+        const r = new Float32Array(size * size);
+        const g = new Float32Array(size * size);
+        const b = new Float32Array(size * size);
+        const data = frameData.data;
+
+        for (let y = 0; y < size; y++) {
+            const sy0 = y0 + Math.floor(y * (y1 - y0) / size);
+            const sy1 = Math.max(sy0 + 1, y0 + Math.floor((y + 1) * (y1 - y0) / size));
+            for (let x = 0; x < size; x++) {
+                const sx0 = x0 + Math.floor(x * (x1 - x0) / size);
+                const sx1 = Math.max(sx0 + 1, x0 + Math.floor((x + 1) * (x1 - x0) / size));
+
+                let sr = 0, sg = 0, sb = 0, count = 0;
+                for (let sy = sy0; sy < sy1; sy++) {
+                    for (let sx = sx0; sx < sx1; sx++) {
+                        const i = (sy * frameData.width + sx) * 4;
+                        sr += data[i];
+                        sg += data[i + 1];
+                        sb += data[i + 2];
+                        count++;
+                    }
+                }
+                const j = y * size + x;
+                r[j] = sr / count;
+                g[j] = sg / count;
+                b[j] = sb / count;
+            }
+        }
+        return { r, g, b, size };
+    }
+}
+
+/**
+ * 内置的启发式线索，签名与分析器的 analyze(input) 相同
+ */
+class SpoofHeuristics {
+    /**
+     * 摩尔纹：加汉宁窗后做二维 DFT，取高频段（moireMinFrequency 以上）功率的峰值 / 中位数
+     */
+    static moire(input) {
+        const { crop, config } = input;
+        if (!crop) return null;
+
+        const { size } = crop;
+        const gray = new Float32Array(size * size);
+        let mean = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * crop.r[i] + 0.587 * crop.g[i] + 0.114 * crop.b[i];
+            mean += gray[i] / gray.length;
+        }
+
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+        }
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                gray[y * size + x] = (gray[y * size + x] - mean) * window[x] * window[y];
+            }
+        }
+
+        const power = SpoofHeuristics._powerSpectrum(gray, size);
+        const half = size / 2;
+        const band = [];
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u <= half; u++) {
+                const fu = u / half;
+                const fv = (v <= half ? v : size - v) / half;
+                const radius = Math.hypot(fu, fv);
+                if (radius >= config.moireMinFrequency && radius <= 1) {
+                    band.push(power[v * size + u]);
+                }
+            }
+        }
+        if (band.length === 0) return null;
+
+        band.sort((a, b) => a - b);
+        const median = band[Math.floor(band.length / 2)];
+        const peakRatio = median > 0 ? band[band.length - 1] / median : 0;
+
+        return {
+            score: CoreUtils.ramp(Math.log(peakRatio), Math.log(config.moireLowPeak), Math.log(config.moireHighPeak)),
+            peakRatio
+        };
+    }
+
+    /**
+     * 高光：亮度高于 specularLuma 且 RGB 通道差小（接近白色）的像素比例
+     */
+    static specular(input) {
+        const { crop, config } = input;
+        if (!crop) return null;
+
+        let highlights = 0;
+        const count = crop.size * crop.size;
+        for (let i = 0; i < count; i++) {
+            const r = crop.r[i], g = crop.g[i], b = crop.b[i];
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+            if (luma > config.specularLuma && Math.max(r, g, b) - Math.min(r, g, b) < 25) {
+                highlights++;
+            }
+        }
+
+        const ratio = highlights / count;
+        return { score: CoreUtils.ramp(ratio, config.specularLow, config.specularHigh), highlightRatio: ratio };
+    }
+
+    /**
+     * 色彩分布：人脸中心区域 Cb / Cr 的标准差（合成为一个值）
+     */
+    static color(input) {
+        const { crop, config } = input;
+        if (!crop) return null;
+
+        // 只取中心区域，避免背景和头发
+        const { size } = crop;
+        const from = Math.floor(size * 0.2);
+        const to = Math.ceil(size * 0.8);
+        let n = 0, sumCb = 0, sumCr = 0, sqCb = 0, sqCr = 0;
+        for (let y = from; y < to; y++) {
+            for (let x = from; x < to; x++) {
+                const i = y * size + x;
+                const r = crop.r[i], g = crop.g[i], b = crop.b[i];
+                const cb = -0.1687 * r - 0.3313 * g + 0.5 * b;
+                const cr = 0.5 * r - 0.4187 * g - 0.0813 * b;
+                sumCb += cb;
+                sumCr += cr;
+                sqCb += cb * cb;
+                sqCr += cr * cr;
+                n++;
+            }
+        }
+
+        const varCb = sqCb / n - (sumCb / n) ** 2;
+        const varCr = sqCr / n - (sumCr / n) ** 2;
+        const spread = Math.sqrt(Math.max(0, varCb) + Math.max(0, varCr));
+        return { score: 1 - CoreUtils.ramp(spread, config.colorLowSpread, config.colorHighSpread), chromaSpread: spread };
+    }
+
+    /**
+     * 微动：相邻帧特征点（按人脸尺度归一化）拟合仿射变换，残差占总运动的比例
+     */
+    static motion(input) {
+        const { history, config } = input;
+        if (history.length < 3) return null;
+
+        let total = 0;
+        let residual = 0;
+        for (let i = 1; i < history.length; i++) {
+            const step = SpoofHeuristics._affineResidual(history[i - 1].points, history[i].points);
+            if (!step) return null;
+            total += step.total;
+            residual += step.residual;
+        }
+
+        const steps = history.length - 1;
+        if (total / steps < config.minMotion) return null;
+
+        const nonRigid = residual / total;
+        return {
+            score: 1 - CoreUtils.ramp(nonRigid, config.motionPlanarRatio, config.motionLiveRatio),
+            nonRigidRatio: nonRigid,
+            meanMotion: total / steps
+        };
+    }
+
+    // ========== 工具方法 ==========
+
+    /**
+     * 实数输入的二维 DFT 功率谱（先逐行再逐列，O(N³)）
+     */
+    static _powerSpectrum(values, size) {
+        const cos = new Float32Array(size * size);
+        const sin = new Float32Array(size * size);
+        for (let k = 0; k < size; k++) {
+            for (let n = 0; n < size; n++) {
+                const angle = 2 * Math.PI * k * n / size;
+                cos[k * size + n] = Math.cos(angle);
+                sin[k * size + n] = Math.sin(angle);
+            }
+        }
+
+        // 逐行
+        const rowRe = new Float32Array(size * size);
+        const rowIm = new Float32Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let k = 0; k < size; k++) {
+                let re = 0, im = 0;
+                for (let n = 0; n < size; n++) {
+                    const v = values[y * size + n];
+                    re += v * cos[k * size + n];
+                    im -= v * sin[k * size + n];
+                }
+                rowRe[y * size + k] = re;
+                rowIm[y * size + k] = im;
+            }
+        }
+
+        // 逐列
+        const power = new Float32Array(size * size);
+        for (let x = 0; x < size; x++) {
+            for (let k = 0; k < size; k++) {
+                let re = 0, im = 0;
+                for (let n = 0; n < size; n++) {
+                    const c = cos[k * size + n];
+                    const s = sin[k * size + n];
+                    const a = rowRe[n * size + x];
+                    const b = rowIm[n * size + x];
+                    re += a * c + b * s;
+                    im += b * c - a * s;
+                }
+                power[k * size + x] = re * re + im * im;
+            }
+        }
+        return power;
+    }
+
+    /**
+     * 两帧特征点之间的总运动和仿射拟合残差（RMS，除以人脸尺度）
+     * @returns {Object|null} { total, residual }
+     */
+    static _affineResidual(from, to) {
+        const n = Math.min(from.length, to.length);
+        if (n < 3) return null;
+
+        // 以第一帧的中心和尺度归一化
+        let cx = 0, cy = 0;
+        for (let i = 0; i < n; i++) {
+            cx += from[i].x / n;
+            cy += from[i].y / n;
+        }
+        let scale = 0;
+        for (let i = 0; i < n; i++) {
+            scale += ((from[i].x - cx) ** 2 + (from[i].y - cy) ** 2) / n;
+        }
+        scale = Math.sqrt(scale);
+        if (scale <= 0) return null;
+
+        const src = [];
+        const dst = [];
+        for (let i = 0; i < n; i++) {
+            src.push([(from[i].x - cx) / scale, (from[i].y - cy) / scale]);
+            dst.push([(to[i].x - cx) / scale, (to[i].y - cy) / scale]);
+        }
+
+        // 最小二乘：dst = [x y 1] · M（正规方程，两个坐标共用同一个 3×3 矩阵）
+        const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const atbX = [0, 0, 0];
+        const atbY = [0, 0, 0];
+        for (let i = 0; i < n; i++) {
+            const row = [src[i][0], src[i][1], 1];
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) ata[a][b] += row[a] * row[b];
+                atbX[a] += row[a] * dst[i][0];
+                atbY[a] += row[a] * dst[i][1];
+            }
+        }
+        const mx = SpoofHeuristics._solve3(ata, atbX);
+        const my = SpoofHeuristics._solve3(ata, atbY);
+        if (!mx || !my) return null;
+
+        let total = 0;
+        let residual = 0;
+        for (let i = 0; i < n; i++) {
+            const [x, y] = src[i];
+            const fx = mx[0] * x + mx[1] * y + mx[2];
+            const fy = my[0] * x + my[1] * y + my[2];
+            total += (dst[i][0] - x) ** 2 + (dst[i][1] - y) ** 2;
+            residual += (dst[i][0] - fx) ** 2 + (dst[i][1] - fy) ** 2;
+        }
+        return { total: Math.sqrt(total / n), residual: Math.sqrt(residual / n) };
+    }
+
+    /**
+     * 克莱姆法则解 3×3 线性方程组
+     */
+    static _solve3(m, v) {
+        const det = (a) =>
+            a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+            a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+            a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+        const d = det(m);
+        if (Math.abs(d) < 1e-12) return null;
+
+        return [0, 1, 2].map(col => det(m.map((row, i) => row.map((value, j) => (j === col ? v[i] : value)))) / d);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpoofDetector, SpoofHeuristics, SpoofPolicy, SPOOF_DEFAULTS };
+}
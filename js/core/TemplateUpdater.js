@@ -0,0 +1,251 @@
+/**
+ * TemplateUpdater.js
+ * --------------------
+ * 模板自适应更新 - 用高置信度的验证结果补充用户模板，适应发型、眼镜、年龄等变化
+ *
+ * 原理：
+ * - 同一用户连续 minConsistentFrames 帧匹配且距离都低于 highConfidenceThreshold，
+ *   这些帧彼此之间也足够接近（maxFrameSpread），才把它们的平均特征作为候选
+ * - 候选与模板中已有特征过于接近（minNovelty）时不加入，避免模板被重复样本填满
+ * - 模板未满（maxDescriptors）时追加；已满时移除最冗余的特征（与最近邻距离最小的那个），
+ *   候选本身比所有已有特征都冗余时放弃，保证替换后模板的多样性不降低
+ * - 写入通过 FaceStorage.updateTemplate（按用户注册时的 aggregation 重新计算平均特征，
+ *   并按注册时的规则重新计算个人阈值），更新前的模板记录在历史中，可用 revert 撤销
+ * - 同一用户两次更新至少间隔 cooldown，限制模板漂移的速度；
+ *   候选被放弃（SKIP）时不计入 cooldown，只在 skipCooldown 内不再评估该用户
+ *
+ * 阈值以欧氏距离给出，按所选度量换算（与设置页的阈值一致）
+ *
+ * 依赖 DistanceMetrics.js、FaceStorage.js
+ */
+
+const TEMPLATE_UPDATE_DEFAULTS = {
+    distanceMetric: 'euclidean',        // 与 FaceMatcher 的 distanceMetric 一致
+    highConfidenceThreshold: 0.4,       // 每帧匹配距离都低于此值才计入
+    minConsistentFrames: 5,             // 连续满足条件的帧数
+    maxFrameSpread: 0.3,                // 这些帧之间的最大距离（排除中途换人或跟踪错误）
+    minNovelty: 0.1,                    // 候选与模板中最近特征的距离低于此值时不加入
+    maxDescriptors: 30,                 // 模板特征数上限
+    cooldown: 10 * 60 * 1000,           // 同一用户两次更新的最小间隔（ms）
+    skipCooldown: 30 * 1000             // 候选被放弃后，同一用户再次评估的最小间隔（ms）
+};
+
+// 更新计划
+const TemplateUpdateAction = {
+    APPEND: 'append',
+    REPLACE: 'replace',
+    SKIP: 'skip'
+};
+
+class TemplateUpdater {
+    constructor(config = {}) {
+        this.config = { ...TEMPLATE_UPDATE_DEFAULTS, ...config };
+        DistanceMetrics.assertValid(this.config.distanceMetric);
+
+        // 回调
+        this.onTemplateUpdated = null;  // ({ userId, action, replacedIndex, descriptorCount, record }) => void
+        this.onError = null;
+
+        this._storage = null;
+        this._matcher = null;
+        this._streak = null;            // { userId, descriptors }
+        this._lastUpdate = new Map();   // userId -> 上次更新的时间戳
+        this._lastSkip = new Map();     // userId -> 上次放弃候选的时间戳
+        this._busy = false;
+    }
+
+    /**
+     * 连接存储和匹配器（可选：更新后同步到 FaceMatcher / AsyncFaceMatcher）
+     */
+    init(storage, matcher = null) {
+        this._storage = storage;
+        this._matcher = matcher;
+        return this;
+    }
+
+    /**
+     * 加入一帧的匹配结果
+     * @param {Object} result - FaceMatcher.findBestMatch 的结果
+     * @param {Float32Array} descriptor - 该帧的特征向量
+     * @returns {Promise<Object|null>} 触发更新时返回更新结果，否则 null
+     */
+    async observe(result, descriptor) {
+        const limit = DistanceMetrics.fromEuclidean(this.config.highConfidenceThreshold, this.config.distanceMetric);
+
+        if (!result || result.status !== 'matched' || !descriptor || result.distance >= limit) {
+            this._streak = null;
+            return null;
+        }
+
+        if (!this._streak || this._streak.userId !== result.user.id) {
+            this._streak = { userId: result.user.id, descriptors: [] };
+        }
+        this._streak.descriptors.push(new Float32Array(descriptor));
+
+        if (this._streak.descriptors.length < this.config.minConsistentFrames) {
+            return null;
+        }
+
+        const { userId, descriptors } = this._streak;
+        this._streak = null;
+
+        if (this._busy || !this._storage || this._isCoolingDown(userId)) return null;
+        if (this._maxPairwise(descriptors) > this.config.maxFrameSpread) return null;
+
+        this._busy = true;
+        try {
+            return await this._apply(userId, DistanceMetrics.mean(descriptors));
+        } catch (error) {
+            console.warn('TemplateUpdater: Update failed', error);
+            if (this.onError) {
+                this.onError(error);
+            }
+            return null;
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    /**
+     * 丢弃当前的连续帧（如画面中的人脸消失、重新开始验证）
+     */
+    reset() {
+        this._streak = null;
+    }
+
+    /**
+     * 撤销一次模板更新，并同步到匹配器
+     */
+    async revert(userId, historyId) {
+        const record = await this._storage.revertTemplate(userId, historyId);
+        await this._syncMatcher(record);
+        return record;
+    }
+
+    // ========== 更新 ==========
+
+    async _apply(userId, candidate) {
+        const user = await this._storage.getUser(userId);
+        if (!user || !user.descriptors || user.descriptors.length === 0) return null;
+
+        const plan = this.planUpdate(user.descriptors, candidate);
+
+        if (plan.action === TemplateUpdateAction.SKIP) {
+            this._lastSkip.set(userId, Date.now());
+            console.log(`TemplateUpdater: Skipped "${userId}" (${plan.reason})`);
+            return { userId, ...plan };
+        }
+
+        // 每帧的质量评估与特征向量对应，验证时加入的特征没有质量评估
+        const descriptors = [...user.descriptors];
+        const captureQuality = user.descriptors.map((_, i) => (user.captureQuality && user.captureQuality[i]) || null);
+        if (plan.action === TemplateUpdateAction.REPLACE) {
+            descriptors[plan.replacedIndex] = candidate;
+            captureQuality[plan.replacedIndex] = null;
+        } else {
+            descriptors.push(candidate);
+            captureQuality.push(null);
+        }
+
+        const record = await this._storage.updateTemplate(userId, {
+            descriptors,
+            captureQuality: captureQuality.some(q => q !== null) ? captureQuality : null
+        }, {
+            reason: 'adaptive_update',
+            action: plan.action,
+            replacedIndex: plan.replacedIndex
+        });
+        this._lastUpdate.set(userId, Date.now());
+        await this._syncMatcher(record);
+
+        console.log(`TemplateUpdater: ${plan.action} for "${userId}" (${descriptors.length} descriptors)`);
+        const update = { userId, ...plan, descriptorCount: descriptors.length, record };
+        if (this.onTemplateUpdated) {
+            this.onTemplateUpdated(update);
+        }
+        return update;
+    }
+
+    /**
+     * 计算候选特征如何加入模板（不修改数据）
+     * @param {Array} descriptors - 当前模板
+     * @param {Float32Array} candidate - 候选特征
+     * @returns {Object} { action, replacedIndex, novelty, reason }
+     */
+    planUpdate(descriptors, candidate) {
+        const { maxDescriptors, minNovelty } = this.config;
+        const novelty = Math.min(...descriptors.map(d => this._euclidean(candidate, d)));
+
+        if (novelty < minNovelty) {
+            return { action: TemplateUpdateAction.SKIP, replacedIndex: null, novelty, reason: 'redundant' };
+        }
+        if (descriptors.length < maxDescriptors) {
+            return { action: TemplateUpdateAction.APPEND, replacedIndex: null, novelty, reason: null };
+        }
+
+        // 模板已满：找出与最近邻距离最小（最冗余）的已有特征，候选计入最近邻的比较
+        let replacedIndex = -1;
+        let minNeighbor = Infinity;
+        descriptors.forEach((desc, i) => {
+            let nearest = this._euclidean(desc, candidate);
+            descriptors.forEach((other, j) => {
+                if (i !== j) nearest = Math.min(nearest, this._euclidean(desc, other));
+            });
+            if (nearest < minNeighbor) {
+                minNeighbor = nearest;
+                replacedIndex = i;
+            }
+        });
+
+        if (novelty <= minNeighbor) {
+            return { action: TemplateUpdateAction.SKIP, replacedIndex: null, novelty, reason: 'not_diverse' };
+        }
+        return { action: TemplateUpdateAction.REPLACE, replacedIndex, novelty, reason: null };
+    }
+
+    async _syncMatcher(record) {
+        if (!this._matcher) return;
+
+        await this._matcher.updateUser({
+            id: record.userId,
+            name: record.name,
+            descriptors: record.descriptors,
+            meanDescriptor: record.meanDescriptor,
+            matchThreshold: record.matchThreshold,
+            thresholdMetric: record.thresholdMetric
+        });
+    }
+
+    // ========== 工具方法 ==========
+
+    _isCoolingDown(userId) {
+        const now = Date.now();
+        const lastUpdate = this._lastUpdate.get(userId);
+        const lastSkip = this._lastSkip.get(userId);
+        return (lastUpdate !== undefined && now - lastUpdate < this.config.cooldown)
+            || (lastSkip !== undefined && now - lastSkip < this.config.skipCooldown);
+    }
+
+    _maxPairwise(descriptors) {
+        let max = 0;
+        for (let i = 0; i < descriptors.length; i++) {
+            for (let j = i + 1; j < descriptors.length; j++) {
+                max = Math.max(max, this._euclidean(descriptors[i], descriptors[j]));
+            }
+        }
+        return max;
+    }
+
+    /**
+     * 当前度量下的距离换算为等效欧氏距离（与阈值配置比较）
+     */
+    _euclidean(a, b) {
+        const { distanceMetric } = this.config;
+        return DistanceMetrics.toEuclidean(DistanceMetrics.distance(a, b, distanceMetric), distanceMetric);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateUpdater, TemplateUpdateAction, TEMPLATE_UPDATE_DEFAULTS };
+}
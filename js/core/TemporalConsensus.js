@@ -0,0 +1,198 @@
+/**
+ * TemporalConsensus.js
+ * ----------------------
+ * 多帧时间一致性判定 - 避免单帧噪声导致错误的识别结果一闪而过
+ *
+ * 原理：
+ * - 按人脸框位置把连续帧关联到同一个跟踪目标（track）
+ * - 每个 track 保留最近 windowSize 帧的匹配结果（滑动窗口）
+ * - 同一用户在窗口内至少匹配 minAgreement 帧（N of M），且这些帧的平均距离低于阈值，才判定为 CONFIRMED
+ * - 窗口内未匹配的帧达到 rejectAfter 时判定为 REJECTED，其余情况为 PENDING
+ * - AMBIGUOUS 帧（长相相似的两人距离过近）既不投票也不计为未匹配
+ *
+ * 输入为 FaceMatcher.findBestMatch 的结果，与匹配器在主线程还是 worker 中运行无关
+ */
+
+// 判定状态
+const ConsensusState = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    REJECTED: 'rejected'
+};
+
+const CONSENSUS_DEFAULTS = {
+    windowSize: 10,             // 滑动窗口帧数（M）
+    minAgreement: 6,            // 确认所需的同一用户匹配帧数（N）
+    rejectAfter: 6,             // 窗口内未匹配帧达到此数时拒绝
+    maxMeanDistance: null,      // 同一用户匹配帧的平均距离上限（null = 不额外限制，沿用匹配器阈值）
+    maxCenterShift: 0.6,        // 人脸框中心移动超过框宽的此比例时视为新的人脸
+    trackTimeout: 1000          // 超过此时间（ms）未出现的 track 被丢弃
+};
+
+class TemporalConsensus {
+    constructor(config = {}) {
+        this.config = { ...CONSENSUS_DEFAULTS, ...config };
+
+        this.tracks = [];
+        this._nextTrackId = 1;
+
+        // 回调
+        this.onStateChange = null;  // (decision, previousState) => void
+    }
+
+    /**
+     * 加入一帧的匹配结果
+     * @param {Object} result - FaceMatcher.findBestMatch 的结果
+     * @param {Object} box - 人脸框 { x, y, width, height }（用于跟踪）
+     * @param {number} timestamp - 帧时间（ms）
+     * @returns {Object} 判定结果 { state, trackId, user, distance, confidence, votes, required, frames, ambiguous, result }
+     */
+    update(result, box = null, timestamp = performance.now()) {
+        this._expireTracks(timestamp);
+
+        const track = this._findTrack(box) || this._createTrack();
+        track.box = box;
+        track.lastSeen = timestamp;
+
+        track.frames.push({
+            ambiguous: result.status === 'ambiguous',
+            userId: result.status === 'matched' ? result.user.id : null,
+            user: result.user,
+            distance: result.distance,
+            confidence: result.confidence || 0
+        });
+        if (track.frames.length > this.config.windowSize) {
+            track.frames.shift();
+        }
+
+        const decision = this._decide(track, result);
+        if (decision.state !== track.state) {
+            const previousState = track.state;
+            track.state = decision.state;
+            if (this.onStateChange) {
+                this.onStateChange(decision, previousState);
+            }
+        }
+
+        return decision;
+    }
+
+    /**
+     * 清除所有 track（重新开始验证时调用）
+     */
+    reset() {
+        this.tracks = [];
+    }
+
+    // ========== 判定 ==========
+
+    _decide(track, result) {
+        const { minAgreement, rejectAfter, maxMeanDistance } = this.config;
+
+        // 按用户统计窗口内的匹配帧
+        const votes = new Map();
+        let misses = 0;
+        let ambiguous = 0;
+        track.frames.forEach(frame => {
+            if (frame.ambiguous) {
+                ambiguous++;
+                return;
+            }
+            if (!frame.userId) {
+                misses++;
+                return;
+            }
+            const vote = votes.get(frame.userId) || { user: frame.user, count: 0, distance: 0, confidence: 0 };
+            vote.count++;
+            vote.distance += frame.distance;
+            vote.confidence += frame.confidence;
+            votes.set(frame.userId, vote);
+        });
+
+        let leader = null;
+        votes.forEach(vote => {
+            if (!leader || vote.count > leader.count) leader = vote;
+        });
+
+        const decision = {
+            state: ConsensusState.PENDING,
+            trackId: track.id,
+            user: null,
+            distance: leader ? leader.distance / leader.count : result.distance,
+            confidence: 0,
+            votes: leader ? leader.count : 0,
+            required: minAgreement,
+            frames: track.frames.length,
+            ambiguous,
+            result
+        };
+
+        if (leader) {
+            decision.user = leader.user;
+            decision.confidence = leader.confidence / leader.count;
+        }
+
+        const stable = leader && leader.count >= minAgreement &&
+            (maxMeanDistance === null || decision.distance < maxMeanDistance);
+
+        if (stable) {
+            decision.state = ConsensusState.CONFIRMED;
+        } else if (misses >= rejectAfter) {
+            decision.state = ConsensusState.REJECTED;
+            decision.user = null;
+            decision.confidence = 0;
+        }
+
+        return decision;
+    }
+
+    // ========== 跟踪 ==========
+
+    /**
+     * 找到与人脸框最接近的 track（中心移动不超过 maxCenterShift × 框宽）
+     */
+    _findTrack(box) {
+        if (!box) {
+            return this.tracks[0] || null;
+        }
+
+        let best = null;
+        let bestShift = Infinity;
+
+        this.tracks.forEach(track => {
+            if (!track.box) return;
+            const shift = Math.hypot(
+                (box.x + box.width / 2) - (track.box.x + track.box.width / 2),
+                (box.y + box.height / 2) - (track.box.y + track.box.height / 2)
+            ) / Math.max(track.box.width, 1);
+
+            if (shift <= this.config.maxCenterShift && shift < bestShift) {
+                best = track;
+                bestShift = shift;
+            }
+        });
+
+        return best;
+    }
+
+    _createTrack() {
+        const track = {
+            id: this._nextTrackId++,
+            box: null,
+            lastSeen: 0,
+            frames: [],
+            state: ConsensusState.PENDING
+        };
+        this.tracks.push(track);
+        return track;
+    }
+
+    _expireTracks(timestamp) {
+        this.tracks = this.tracks.filter(track => timestamp - track.lastSeen <= this.config.trackTimeout);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemporalConsensus, ConsensusState, CONSENSUS_DEFAULTS };
+}